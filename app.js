@@ -6,7 +6,15 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const sqlite3 = require('sqlite3').verbose();
 const multer = require('multer');
+const musicMetadata = require('music-metadata');
+const promClient = require('prom-client');
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand,
+  HeadBucketCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
+const { EventEmitter } = require('events');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { createClient: createRedisClient } = require('redis');
 
 const port = Number(process.env.PORT) || 8080;
 const appEnv = process.env.APP_ENV || 'local';
@@ -14,306 +22,1816 @@ const release = process.env.RELEASE || 'v2.1';
 const jwtSecret = process.env.JWT_SECRET || 'fallback_secret_key';
 const adminUsername = process.env.ADMIN_USERNAME || 'admin';
 const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
+const accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const trustProxy = process.env.TRUST_PROXY === 'true';
+const lockoutThreshold = Number(process.env.LOCKOUT_THRESHOLD) || 10;
+const lockoutMinutes = Number(process.env.LOCKOUT_MINUTES) || 15;
+const registerLimitPerHour = Number(process.env.REGISTER_LIMIT_PER_HOUR) || 5;
+const shutdownTimeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+const shutdownDelayMs = Number(process.env.SHUTDOWN_DELAY_MS) || 0;
+const storageDriver = process.env.STORAGE_DRIVER || 'local';
+const mediaUrlTtlSeconds = Number(process.env.MEDIA_URL_TTL_SECONDS) || 3600;
+const eventsDriver = process.env.EVENTS_DRIVER || 'local';
+const maxJsonBodyBytes = Number(process.env.MAX_JSON_BODY_BYTES) || 100 * 1024;
+const bodyTimeoutMs = Number(process.env.BODY_TIMEOUT_MS) || 10000;
+const maxImportBytes = Number(process.env.MAX_IMPORT_BYTES) || 1024 * 1024 * 1024;
+const logLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const migrateOnly = process.argv.includes('--migrate-only');
+// `node app.js <command> [args]` runs a one-off command instead of the server
+const cliCommand = process.argv[2] && !process.argv[2].startsWith('-') ? process.argv[2] : null;
 const startedAt = Date.now();
 
+// Structured logging: one JSON object per line on stdout, for kubectl logs and log shippers.
+// Commands print their results on stdout, so they log to stderr instead.
+const logLevels = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLogLevel = logLevels[logLevel] || logLevels.info;
+
+// Values under these keys never reach the logs, at any depth
+const redactedLogKeys = /pass(word)?|token|secret|authorization|cookie|^sig$/i;
+
+function redactLogValue(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (!value || typeof value !== 'object' || depth > 4) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactLogValue(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, redactedLogKeys.test(key) ? '[REDACTED]' : redactLogValue(item, depth + 1)]));
+}
+
+function createLogger(bindings = {}) {
+  const write = (level, msg, fields) => {
+    if (logLevels[level] < minLogLevel) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, msg, ...redactLogValue({ ...bindings, ...fields }) };
+    (cliCommand ? process.stderr : process.stdout).write(JSON.stringify(entry) + '\n');
+  };
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const log = createLogger();
+
 // Ensure directories exist
-const uploadsDir = path.join(__dirname, 'uploads');
-const dataDir = path.join(__dirname, 'data');
+const uploadsDir = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, 'uploads'));
+const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
 const coversDir = path.join(uploadsDir, 'covers');
 const musicDir = path.join(uploadsDir, 'music');
+// Multer writes here; files move to the storage backend once the upload is accepted
+const uploadTmpDir = path.join(uploadsDir, 'tmp');
 
-[uploadsDir, dataDir, coversDir, musicDir].forEach(dir => {
+[uploadsDir, dataDir, coversDir, musicDir, uploadTmpDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
 });
 
 // Database setup
-const db = new sqlite3.Database(path.join(dataDir, 'music.db'));
-
-// Initialize database tables
-db.serialize(() => {
-  // Users table
-  db.run(`CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    is_admin BOOLEAN DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
+const dbFile = path.join(dataDir, 'music.db');
+const db = new sqlite3.Database(dbFile);
+// Commands (`node app.js user ...`) may write while the server is running
+db.configure('busyTimeout', 5000);
+
+// Promise wrappers for the sqlite3 callback API
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+}
+
+// Add a column unless it exists: databases from before schema_migrations was
+// introduced may already have some of the columns a migration adds
+async function addColumn(table, name, type) {
+  const columns = await dbAll(`PRAGMA table_info(${table})`);
+  if (!columns.some(column => column.name === name)) {
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
 
-  // Tracks table
-  db.run(`CREATE TABLE IF NOT EXISTS tracks (
-    id TEXT PRIMARY KEY,
-    title TEXT NOT NULL,
-    artist TEXT NOT NULL,
-    filename TEXT NOT NULL,
-    cover_filename TEXT,
-    duration INTEGER DEFAULT 0,
-    uploaded_by INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (uploaded_by) REFERENCES users (id)
+// Ordered schema migrations. Each runs once, in its own transaction, and is
+// recorded in schema_migrations. Append new migrations; never edit applied ones.
+const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    async up() {
+      await dbRun(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        is_admin BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await dbRun(`CREATE TABLE IF NOT EXISTS tracks (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        artist TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        cover_filename TEXT,
+        duration INTEGER DEFAULT 0,
+        uploaded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (uploaded_by) REFERENCES users (id)
+      )`);
+    }
+  },
+  {
+    version: 2,
+    name: 'track_metadata',
+    async up() {
+      await addColumn('tracks', 'bitrate', 'INTEGER');
+      await addColumn('tracks', 'album', 'TEXT');
+      await addColumn('tracks', 'track_number', 'INTEGER');
+      await addColumn('tracks', 'year', 'INTEGER');
+      await addColumn('tracks', 'genre', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'playlists',
+    async up() {
+      await dbRun(`CREATE TABLE IF NOT EXISTS playlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        position INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      await dbRun(`CREATE TABLE IF NOT EXISTS playlist_tracks (
+        playlist_id INTEGER NOT NULL,
+        track_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (playlist_id, track_id),
+        FOREIGN KEY (playlist_id) REFERENCES playlists (id),
+        FOREIGN KEY (track_id) REFERENCES tracks (id)
+      )`);
+    }
+  },
+  {
+    version: 4,
+    name: 'track_search',
+    async up() {
+      // Full-text index over track titles and artists, kept in sync with tracks by triggers
+      await dbRun(`CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts USING fts5(
+        title, artist, content='tracks', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+      )`);
+      await dbRun(`CREATE TRIGGER IF NOT EXISTS tracks_fts_insert AFTER INSERT ON tracks BEGIN
+        INSERT INTO tracks_fts(rowid, title, artist) VALUES (new.rowid, new.title, new.artist);
+      END`);
+      await dbRun(`CREATE TRIGGER IF NOT EXISTS tracks_fts_delete AFTER DELETE ON tracks BEGIN
+        INSERT INTO tracks_fts(tracks_fts, rowid, title, artist) VALUES ('delete', old.rowid, old.title, old.artist);
+      END`);
+      await dbRun(`CREATE TRIGGER IF NOT EXISTS tracks_fts_update AFTER UPDATE OF title, artist ON tracks BEGIN
+        INSERT INTO tracks_fts(tracks_fts, rowid, title, artist) VALUES ('delete', old.rowid, old.title, old.artist);
+        INSERT INTO tracks_fts(rowid, title, artist) VALUES (new.rowid, new.title, new.artist);
+      END`);
+      // Index the tracks inserted before the triggers existed
+      await dbRun(`INSERT INTO tracks_fts(tracks_fts) VALUES ('rebuild')`);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_tracks_created_at ON tracks (created_at)');
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_tracks_artist ON tracks (artist COLLATE NOCASE)');
+    }
+  },
+  {
+    version: 5,
+    name: 'play_events',
+    async up() {
+      // Listening history: one row per play, skip, partial listen or completion
+      await dbRun(`CREATE TABLE IF NOT EXISTS play_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        track_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        position REAL,
+        client TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (track_id) REFERENCES tracks (id)
+      )`);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_play_events_track ON play_events (track_id, type)');
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_play_events_user ON play_events (user_id, created_at)');
+    }
+  },
+  {
+    version: 6,
+    name: 'user_likes',
+    async up() {
+      await dbRun(`CREATE TABLE IF NOT EXISTS user_likes (
+        user_id INTEGER NOT NULL,
+        track_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, track_id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (track_id) REFERENCES tracks (id)
+      )`);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_user_likes_track ON user_likes (track_id)');
+    }
+  },
+  {
+    version: 7,
+    name: 'sessions',
+    async up() {
+      // Login sessions backing refresh tokens; access tokens carry the session id
+      await dbRun(`CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        user_agent TEXT,
+        ip TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)');
+    }
+  },
+  {
+    version: 8,
+    name: 'login_lockout',
+    async up() {
+      await addColumn('users', 'failed_logins', 'INTEGER DEFAULT 0');
+      await addColumn('users', 'locked_until', 'DATETIME');
+    }
+  },
+  {
+    version: 9,
+    name: 'user_management',
+    async up() {
+      await addColumn('users', 'disabled', 'BOOLEAN DEFAULT 0');
+      // Runtime settings changed from the admin panel
+      await dbRun(`CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  },
+  {
+    version: 10,
+    name: 'track_media_types',
+    async up() {
+      await addColumn('tracks', 'mime_type', 'TEXT');
+      await addColumn('tracks', 'file_size', 'INTEGER');
+      await addColumn('tracks', 'cover_mime_type', 'TEXT');
+      // Files uploaded before sniffing get a type from their extension; the size stays unknown
+      const audioTypes = {
+        '.m4a': 'audio/mp4', '.mp4': 'audio/mp4', '.aac': 'audio/aac', '.flac': 'audio/flac', '.ogg': 'audio/ogg',
+        '.oga': 'audio/ogg', '.opus': 'audio/ogg', '.wav': 'audio/wav', '.webm': 'audio/webm'
+      };
+      const coverTypes = { '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+      const typeOf = (types, filename, fallback) => types[path.extname(filename).toLowerCase()] || fallback;
+      const tracks = await dbAll(`SELECT id, filename, cover_filename, mime_type, cover_mime_type FROM tracks
+        WHERE mime_type IS NULL OR (cover_filename IS NOT NULL AND cover_mime_type IS NULL)`);
+      for (const track of tracks) {
+        await dbRun('UPDATE tracks SET mime_type = ?, cover_mime_type = ? WHERE id = ?', [
+          track.mime_type || typeOf(audioTypes, track.filename, 'audio/mpeg'),
+          track.cover_mime_type || (track.cover_filename ? typeOf(coverTypes, track.cover_filename, 'image/jpeg') : null),
+          track.id
+        ]);
+      }
+    }
+  },
+  {
+    version: 11,
+    name: 'artists_albums',
+    async up() {
+      // Artist names and album titles match ignoring case, so "Daft Punk" and "daft punk" are one artist.
+      // tracks.artist and tracks.album keep the text as entered.
+      await dbRun(`CREATE TABLE IF NOT EXISTS artists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await dbRun(`CREATE TABLE IF NOT EXISTS albums (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        artist_id INTEGER NOT NULL,
+        title TEXT NOT NULL COLLATE NOCASE,
+        year INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (artist_id, title),
+        FOREIGN KEY (artist_id) REFERENCES artists (id)
+      )`);
+      await addColumn('tracks', 'artist_id', 'INTEGER REFERENCES artists (id)');
+      await addColumn('tracks', 'album_id', 'INTEGER REFERENCES albums (id)');
+      await addColumn('tracks', 'disc_number', 'INTEGER');
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_tracks_artist_id ON tracks (artist_id)');
+      await dbRun('CREATE INDEX IF NOT EXISTS idx_tracks_album_id ON tracks (album_id)');
+
+      // Backfill from the existing strings. Where spellings differ only in case, the
+      // most common one becomes the name, by the same rule as for new tracks.
+      await dbRun(`INSERT OR IGNORE INTO artists (name)
+        SELECT trim(artist) FROM tracks WHERE trim(artist) != ''
+        GROUP BY trim(artist)`);
+      await dbRun('UPDATE tracks SET artist_id = (SELECT id FROM artists WHERE name = trim(tracks.artist))');
+      await dbRun(`INSERT OR IGNORE INTO albums (artist_id, title, year)
+        SELECT artist_id, trim(album), MAX(year) FROM tracks
+        WHERE artist_id IS NOT NULL AND trim(album) != ''
+        GROUP BY artist_id, trim(album)`);
+      await dbRun(`UPDATE tracks SET album_id = (SELECT id FROM albums
+        WHERE albums.artist_id = tracks.artist_id AND albums.title = trim(tracks.album))`);
+      await applyCommonSpellings();
+    }
+  }
+];
+
+const latestSchemaVersion = migrations[migrations.length - 1].version;
+
+// Apply pending migrations in order. Refuses to touch a database that a newer
+// release has already migrated past what this code knows about.
+async function migrateDatabase() {
+  await dbRun(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
 
-  // Create admin user if not exists
+  const row = await dbGet('SELECT MAX(version) AS version FROM schema_migrations');
+  const currentVersion = row.version || 0;
+  if (currentVersion > latestSchemaVersion) {
+    throw new Error(`Database schema is at version ${currentVersion} but this release only knows up to version ${latestSchemaVersion}. Deploy a newer release or restore a matching backup.`);
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+  for (const migration of pending) {
+    await dbRun('BEGIN IMMEDIATE');
+    try {
+      await migration.up();
+      await dbRun('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await dbRun('COMMIT');
+    } catch (err) {
+      await dbRun('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+    log.info('Applied migration', { version: migration.version, name: migration.name });
+  }
+
+  return { from: currentVersion, to: latestSchemaVersion, applied: pending.length };
+}
+
+// Create the admin user if it doesn't exist
+function seedAdminUser() {
   const hashedPassword = bcrypt.hashSync(adminPassword, 10);
-  db.run(`INSERT OR IGNORE INTO users (username, password, is_admin) VALUES (?, ?, 1)`, 
+  return dbRun('INSERT OR IGNORE INTO users (username, password, is_admin) VALUES (?, ?, 1)',
     [adminUsername, hashedPassword]);
-});
+}
+
+// Prometheus metrics, exposed on /metrics along with the default process and event loop metrics
+promClient.collectDefaultMetrics();
 
 const metrics = {
-  requests: 0,
-  plays: 0,
-  skips: 0,
-  uploads: 0
+  requests: new promClient.Counter({
+    name: 'app_requests_total',
+    help: 'HTTP requests handled, by route, method and status code',
+    labelNames: ['route', 'method', 'status']
+  }),
+  requestDuration: new promClient.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time from receiving an HTTP request to the end of its response',
+    labelNames: ['route', 'method', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120]
+  }),
+  streamedBytes: new promClient.Counter({
+    name: 'app_stream_bytes_total',
+    help: 'Audio bytes sent to clients, by track',
+    labelNames: ['track_id']
+  }),
+  uploadSize: new promClient.Histogram({
+    name: 'app_upload_size_bytes',
+    help: 'Size of uploaded files, by form field',
+    labelNames: ['field'],
+    buckets: [64 * 1024, 256 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024,
+      25 * 1024 * 1024, 50 * 1024 * 1024, 100 * 1024 * 1024]
+  }),
+  dbQueryDuration: new promClient.Histogram({
+    name: 'sqlite_query_duration_seconds',
+    help: 'SQLite statement execution time, by statement type',
+    labelNames: ['operation'],
+    buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1]
+  }),
+  plays: new promClient.Counter({ name: 'app_track_plays_total', help: 'Track plays reported by players' }),
+  skips: new promClient.Counter({ name: 'app_track_skips_total', help: 'Tracks skipped within 30 seconds' }),
+  partials: new promClient.Counter({ name: 'app_track_partials_total', help: 'Tracks left after 30 seconds but before the end' }),
+  completions: new promClient.Counter({ name: 'app_track_completions_total', help: 'Tracks played to the end' }),
+  uploads: new promClient.Counter({ name: 'app_track_uploads_total', help: 'Tracks added through the admin upload' }),
+  eventStreams: new promClient.Gauge({ name: 'app_event_streams', help: 'Open /api/events/stream connections' }),
+  eventsPublished: new promClient.Counter({
+    name: 'app_events_published_total',
+    help: 'Live events published to the event bus, by type',
+    labelNames: ['type']
+  })
 };
 
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    if (file.fieldname === 'cover') {
-      cb(null, coversDir);
-    } else if (file.fieldname === 'music') {
-      cb(null, musicDir);
+new promClient.Gauge({
+  name: 'app_uptime_seconds',
+  help: 'Seconds since the server started',
+  collect() {
+    this.set(Math.round((Date.now() - startedAt) / 1000));
+  }
+});
+
+const dbOperations = new Set(['select', 'insert', 'update', 'delete', 'create', 'pragma', 'alter', 'begin', 'commit', 'rollback']);
+
+db.on('profile', (sql, ms) => {
+  const keyword = String(sql).trim().split(/\s+/)[0].toLowerCase();
+  metrics.dbQueryDuration.observe({ operation: dbOperations.has(keyword) ? keyword : 'other' }, ms / 1000);
+});
+
+// Storage backends for audio and cover files. Objects are addressed by keys such as
+// `music/<file>` and `covers/<file>`; the tracks table stores only the file name.
+// Every driver implements put(key, source, contentType) where source is a file path
+// or a Buffer, stat(key), read(key, range), remove(key) and check().
+function createLocalStorage(rootDir) {
+  const resolve = key => path.join(rootDir, key);
+
+  return {
+    name: 'local',
+
+    async put(key, source) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (Buffer.isBuffer(source)) {
+        return fs.promises.writeFile(target, source);
+      }
+      try {
+        await fs.promises.rename(source, target);
+      } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.copyFile(source, target);
+        await fs.promises.unlink(source);
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stat = await fs.promises.stat(resolve(key));
+        return { size: stat.size, lastModified: stat.mtime };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    // range is { start, end } with inclusive offsets
+    async read(key, range) {
+      return fs.createReadStream(resolve(key), range ? { start: range.start, end: range.end } : undefined);
+    },
+
+    async remove(key) {
+      await fs.promises.unlink(resolve(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    // Keys directly under a prefix such as `music/`, with their size and modification time
+    async list(prefix) {
+      let dirents;
+      try {
+        dirents = await fs.promises.readdir(resolve(prefix), { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const items = [];
+      for (const dirent of dirents.filter(entry => entry.isFile())) {
+        const stat = await fs.promises.stat(resolve(prefix + dirent.name));
+        items.push({ key: prefix + dirent.name, size: stat.size, lastModified: stat.mtime });
+      }
+      return items;
+    },
+
+    async check() {
+      for (const dir of [musicDir, coversDir]) {
+        try {
+          await fs.promises.access(dir, fs.constants.W_OK);
+        } catch (err) {
+          throw new Error(`${dir} is not writable (${err.code || err.message})`);
+        }
+      }
     }
-  },
+  };
+}
+
+// S3-compatible object storage (AWS S3, MinIO, ...). Credentials fall back to the
+// AWS SDK's default provider chain when S3_ACCESS_KEY_ID is not set.
+function createS3Storage({ bucket, prefix = '', endpoint, region, forcePathStyle, accessKeyId, secretAccessKey }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Not every S3-compatible store accepts the SDK's default request checksums
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+    // Keep the SDK's own warnings in the structured log. Its per-request info logs stay
+    // off, and failures are logged where they're handled.
+    logger: {
+      debug() {},
+      info() {},
+      warn: (...args) => log.warn('S3 client warning', { detail: args.map(String).join(' ') }),
+      error() {}
+    }
+  });
+  const objectKey = key => prefix + key;
+  const isNotFound = err => err.name === 'NotFound' || err.name === 'NoSuchKey'
+    || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+  return {
+    name: 's3',
+
+    async put(key, source, contentType) {
+      if (Buffer.isBuffer(source)) {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket, Key: objectKey(key), Body: source, ContentType: contentType
+        }));
+        return;
+      }
+      const { size } = await fs.promises.stat(source);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(source),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+      await fs.promises.unlink(source).catch(() => {});
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength, lastModified: head.LastModified || new Date(0) };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async read(key, range) {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined
+      }));
+      return object.Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async list(listPrefix) {
+      const items = [];
+      let token;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket, Prefix: objectKey(listPrefix), ContinuationToken: token
+        }));
+        for (const object of page.Contents || []) {
+          items.push({ key: object.Key.slice(prefix.length), size: object.Size, lastModified: object.LastModified });
+        }
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+      return items;
+    },
+
+    async check() {
+      await client.send(new HeadBucketCommand({ Bucket: bucket }));
+    }
+  };
+}
+
+function createStorage(driver) {
+  if (driver === 'local') {
+    return createLocalStorage(uploadsDir);
+  }
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      prefix: process.env.S3_PREFIX || '',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      region: process.env.S3_REGION || 'us-east-1',
+      // MinIO and most self-hosted endpoints need path-style bucket addressing
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(process.env.S3_ENDPOINT),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or s3)`);
+}
+
+const storage = createStorage(storageDriver);
+
+// Fan-out for the live events sent on /api/events/stream. Events are { type, data, userId, time };
+// a userId limits an event to that user's streams.
+// `local` only reaches clients of this process, which is enough for one replica and for tests.
+function createLocalEventBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'local',
+
+    async publish(event) {
+      emitter.emit('event', event);
+    },
+
+    // Returns a function that unsubscribes
+    subscribe(listener) {
+      emitter.on('event', listener);
+      return () => emitter.off('event', listener);
+    },
+
+    async check() {},
+
+    async close() {}
+  };
+}
+
+// Redis pub/sub: every replica publishes to and subscribes on one channel, so each event
+// reaches the clients connected to any pod. Connections are opened on first use.
+function createRedisEventBus({ url, channel }) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const publisher = createRedisClient({ url });
+  // A connection in subscribe mode can't run other commands
+  const subscriber = publisher.duplicate();
+  // The clients reconnect by themselves; without an error listener a dropped connection would crash the process
+  publisher.on('error', err => log.warn('Redis connection error', { client: 'publisher', error: err.message }));
+  subscriber.on('error', err => log.warn('Redis connection error', { client: 'subscriber', error: err.message }));
+
+  let publisherReady = null;
+  let subscriberReady = null;
+  const connectPublisher = () => {
+    publisherReady = publisherReady || publisher.connect();
+    return publisherReady;
+  };
+  const connectSubscriber = () => {
+    subscriberReady = subscriberReady || subscriber.connect().then(() => subscriber.subscribe(channel, (message) => {
+      try {
+        emitter.emit('event', JSON.parse(message));
+      } catch (err) {
+        log.warn('Ignoring malformed event from Redis', { channel });
+      }
+    }));
+    return subscriberReady;
+  };
+
+  return {
+    name: 'redis',
+
+    // Commands wait in the client's queue while Redis is unreachable, so give up rather than
+    // let publishes pile up (and keep commands from exiting)
+    async publish(event) {
+      await withTimeout(connectPublisher().then(() => publisher.publish(channel, JSON.stringify(event))),
+        2000, 'Publishing to Redis timed out');
+    },
+
+    subscribe(listener) {
+      connectSubscriber().catch(err => log.error('Failed to subscribe to Redis', { channel, err }));
+      emitter.on('event', listener);
+      return () => emitter.off('event', listener);
+    },
+
+    async check() {
+      await Promise.all([connectPublisher(), connectSubscriber()]);
+      await publisher.ping();
+    },
+
+    // QUIT would wait for a connection that may never come back
+    async close() {
+      await Promise.all([publisher, subscriber].filter(client => client.isOpen)
+        .map(client => (client.isReady ? client.quit() : client.disconnect())));
+    }
+  };
+}
+
+function createEventBus(driver) {
+  if (driver === 'local') {
+    return createLocalEventBus();
+  }
+  if (driver === 'redis') {
+    return createRedisEventBus({
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      channel: process.env.REDIS_CHANNEL || 'music:events'
+    });
+  }
+  throw new Error(`Unknown EVENTS_DRIVER "${driver}" (expected local or redis)`);
+}
+
+const eventBus = createEventBus(eventsDriver);
+
+// Publishes still in progress, so that commands can wait for them before exiting
+const pendingEvents = new Set();
+
+function trackPendingEvent(promise) {
+  const pending = promise.finally(() => pendingEvents.delete(pending));
+  pendingEvents.add(pending);
+}
+
+async function flushEvents() {
+  while (pendingEvents.size > 0) {
+    await Promise.all(pendingEvents);
+  }
+}
+
+// Publish without waiting; failures are logged. `userId` sends the event to that user only.
+function publishEvent(type, data, userId = null) {
+  trackPendingEvent(eventBus.publish({ type, data, userId, time: new Date().toISOString() })
+    .then(() => metrics.eventsPublished.inc({ type }))
+    .catch(err => log.error('Failed to publish event', { type, err })));
+}
+
+// track.added and track.updated carry the track row; fields that depend on the viewer,
+// such as `liked`, are left for clients to keep from their own copy
+function publishTrackEvent(type, trackId) {
+  trackPendingEvent(dbGet('SELECT * FROM tracks WHERE id = ?', [trackId])
+    .then(track => track && publishEvent(type, { track }))
+    .catch(err => log.error('Failed to publish event', { type, trackId, err })));
+}
+
+function notifyUser(userId, message) {
+  publishEvent('notification', { message }, userId);
+}
+
+// Multer configuration for file uploads
+const diskUploadStorage = multer.diskStorage({
+  destination: uploadTmpDir,
   filename: (req, file, cb) => {
     const ext = path.extname(file.originalname);
     cb(null, uuidv4() + ext);
   }
 });
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.fieldname === 'music') {
-      if (file.mimetype.startsWith('audio/')) {
-        cb(null, true);
-      } else {
-        cb(new Error('Only audio files are allowed for music'), false);
-      }
-    } else if (file.fieldname === 'cover') {
-      if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-      } else {
-        cb(new Error('Only image files are allowed for cover'), false);
-      }
+// Multer can still hand over a file part that arrives after it has rejected the request
+// (for example a field over the size limit) and never removes it; skip those instead
+const uploadStorage = {
+  _handleFile(req, file, cb) {
+    if (req.multipartRejected) {
+      file.stream.resume();
+      return cb(new Error('Upload rejected'));
     }
+    diskUploadStorage._handleFile(req, file, cb);
   },
+  _removeFile: (req, file, cb) => diskUploadStorage._removeFile(req, file, cb)
+};
+
+const maxUploadBytes = 100 * 1024 * 1024;
+
+// File types are checked after upload by sniffing magic bytes (identifyUpload), since
+// the client's Content-Type and file extension can't be trusted
+const upload = multer({ 
+  storage: uploadStorage,
   limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit
+    fileSize: maxUploadBytes,
+    // Text fields such as title and artist get the same cap as JSON bodies
+    fieldSize: maxJsonBodyBytes,
+    fields: 20
   }
 });
 
-function sendJson(res, status, payload) {
-  res.writeHead(status, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(payload));
-}
+// ZIP archives for POST /api/admin/import; their contents are checked entry by entry
+const importUpload = multer({
+  storage: uploadStorage,
+  limits: { fileSize: maxImportBytes, fieldSize: maxJsonBodyBytes, fields: 20, files: 1 }
+});
 
-function sendText(res, status, text, headers = {}) {
-  res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
-  res.end(text);
+// Formats accepted for upload, by the storage kind they belong to
+const mediaTypes = {
+  'audio/mpeg': { kind: 'music', ext: '.mp3', label: 'MP3' },
+  'audio/aac': { kind: 'music', ext: '.aac', label: 'AAC' },
+  'audio/mp4': { kind: 'music', ext: '.m4a', label: 'M4A' },
+  'audio/flac': { kind: 'music', ext: '.flac', label: 'FLAC' },
+  'audio/ogg': { kind: 'music', ext: '.ogg', label: 'Ogg' },
+  'audio/wav': { kind: 'music', ext: '.wav', label: 'WAV' },
+  'audio/webm': { kind: 'music', ext: '.webm', label: 'WebM' },
+  'image/jpeg': { kind: 'covers', ext: '.jpg', label: 'JPEG' },
+  'image/png': { kind: 'covers', ext: '.png', label: 'PNG' },
+  'image/gif': { kind: 'covers', ext: '.gif', label: 'GIF' },
+  'image/webp': { kind: 'covers', ext: '.webp', label: 'WebP' }
+};
+
+// ISO base media brands used by audio-only MP4 files (M4A and friends)
+const mp4AudioBrands = new Set(['M4A ', 'M4B ', 'M4P ', 'mp41', 'mp42', 'isom', 'iso2', 'dash']);
+
+// Identify a file from its first bytes. Returns a key of mediaTypes or null.
+function sniffMediaType(buf) {
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp' && mp4AudioBrands.has(ascii(8, 12))) return 'audio/mp4';
+  if (buf.length >= 4 && buf.readUInt32BE(0) === 0x1a45dfa3) return 'audio/webm';
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  // Untagged MPEG audio and ADTS AAC both start with a frame sync word;
+  // AAC has layer bits 00, MP3 has layer III/II/I
+  if (buf[0] === 0xff && (buf[1] & 0xf6) === 0xf0) return 'audio/aac';
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0 && (buf[1] & 0x06) !== 0) return 'audio/mpeg';
+  return null;
 }
 
-function sendHtml(res, html) {
-  res.writeHead(200, { 'Content-Type': 'text/html' });
-  res.end(html);
+// Sniff a file on disk, looking past a leading ID3v2 tag (used by MP3, and
+// occasionally prepended to AAC or FLAC) to the audio data it describes
+async function sniffFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(16);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+    if (bytesRead < 10 || head.toString('latin1', 0, 3) !== 'ID3') {
+      return sniffMediaType(head.subarray(0, bytesRead));
+    }
+    // Tag size is a 28-bit syncsafe integer, plus a 10 byte footer when flagged
+    const tagSize = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+    const audioStart = 10 + tagSize + (head[5] & 0x10 ? 10 : 0);
+    const frame = Buffer.alloc(16);
+    const frameRead = await handle.read(frame, 0, frame.length, audioStart);
+    const type = sniffMediaType(frame.subarray(0, frameRead.bytesRead));
+    return type && mediaTypes[type].kind === 'music' ? type : 'audio/mpeg';
+  } finally {
+    await handle.close();
+  }
 }
 
-function sendFile(res, filePath, mimeType) {
-  if (!fs.existsSync(filePath)) {
-    return sendJson(res, 404, { error: 'File not found' });
+// Check an upload's real type against the allowed formats for its kind (music or
+// covers). Renames it to that type's extension and returns the type; throws a 415
+// error when the contents don't match.
+async function identifyUpload(file, kind) {
+  const mimeType = await sniffFile(file.path);
+  if (!mimeType || mediaTypes[mimeType].kind !== kind) {
+    const allowed = Object.values(mediaTypes).filter(type => type.kind === kind).map(type => type.label);
+    const found = mimeType ? `is ${mediaTypes[mimeType].label}` : 'is not a recognised format';
+    throw Object.assign(new Error(`${file.fieldname} file "${file.originalname}" ${found}; `
+      + `expected ${allowed.join(', ')}`), { status: 415 });
   }
-  
-  const stat = fs.statSync(filePath);
-  res.writeHead(200, {
-    'Content-Type': mimeType,
-    'Content-Length': stat.size,
-    'Cache-Control': 'public, max-age=86400'
-  });
-  
-  const stream = fs.createReadStream(filePath);
-  stream.pipe(res);
+  file.filename = path.basename(file.filename, path.extname(file.filename)) + mediaTypes[mimeType].ext;
+  file.detectedType = mimeType;
+  return mimeType;
 }
 
-function verifyToken(token) {
+// Read tags and stream info (ID3, Vorbis comments, MP4 atoms) from an uploaded file.
+// Files that can't be parsed just yield no metadata instead of failing the upload.
+async function extractAudioMetadata(filePath) {
   try {
-    return jwt.verify(token, jwtSecret);
+    const { format, common } = await musicMetadata.parseFile(filePath, { duration: true });
+    return {
+      duration: format.duration ? Math.round(format.duration) : 0,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      title: common.title || null,
+      artist: common.artist || (common.artists && common.artists[0]) || null,
+      album: common.album || null,
+      trackNumber: common.track && common.track.no ? common.track.no : null,
+      discNumber: common.disk && common.disk.no ? common.disk.no : null,
+      year: common.year || null,
+      genre: common.genre && common.genre.length ? common.genre[0] : null,
+      picture: musicMetadata.selectCover(common.picture)
+    };
   } catch (err) {
-    return null;
+    return { duration: 0, picture: null };
   }
 }
 
-function getTokenFromRequest(req) {
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
+// Store cover art found in the audio file's tags. Returns { filename, mimeType }, or
+// null when the picture isn't an image format we serve.
+async function saveEmbeddedCover(picture) {
+  const data = Buffer.from(picture.data);
+  const mimeType = sniffMediaType(data);
+  if (!mimeType || mediaTypes[mimeType].kind !== 'covers') {
+    return null;
   }
-  return null;
+  const filename = uuidv4() + mediaTypes[mimeType].ext;
+  await storage.put(`covers/${filename}`, data, mimeType);
+  return { filename, mimeType };
+}
+
+// Move an accepted upload from the multer temp directory into storage
+function storeUploadedFile(file, kind) {
+  return storage.put(`${kind}/${file.filename}`, file.path, file.detectedType);
 }
 
-function requireAuth(req, res, next) {
-  const token = getTokenFromRequest(req);
-  if (!token) {
-    return sendJson(res, 401, { error: 'Authentication required' });
+function removeUploadedFiles(files) {
+  Object.values(files || {}).flat().forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+}
+
+// Bulk import: a ZIP uploaded to POST /api/admin/import, or a directory with
+// `node app.js import <dir>`. Both are read as a list of entries
+// ({ name, size, read(), extractTo(path) }) with `/`-separated relative names.
+const importCoverNames = ['cover', 'folder', 'front', 'album'];
+const importImageExtensions = /\.(jpe?g|png|gif|webp)$/i;
+const maxImportCoverBytes = 10 * 1024 * 1024;
+
+// macOS resource forks and hidden files, which archives and shares are full of
+function isImportJunk(name) {
+  return name.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+}
+
+// Title and artist from an "Artist - Title.mp3" file name, ignoring a leading
+// track number ("01 - Artist - Title", "01. Title"). Artist is null when absent.
+function parseTrackFilename(name) {
+  const base = path.posix.basename(name, path.posix.extname(name))
+    .replace(/_/g, ' ').replace(/^\d{1,3}[.)]\s+/, '').trim();
+  const parts = base.split(/\s+-\s+/);
+  if (parts.length > 1 && /^\d{1,3}$/.test(parts[0])) {
+    parts.shift();
   }
-  
-  const decoded = verifyToken(token);
-  if (!decoded) {
-    return sendJson(res, 401, { error: 'Invalid token' });
+  if (parts.length > 1) {
+    return { artist: parts[0], title: parts.slice(1).join(' - ') };
   }
-  
-  req.user = decoded;
-  next();
+  return { artist: null, title: parts[0] || null };
 }
 
-function requireAdmin(req, res, next) {
-  requireAuth(req, res, () => {
-    if (!req.user.is_admin) {
-      return sendJson(res, 403, { error: 'Admin access required' });
-    }
-    next();
-  });
+// A folder's cover: a conventionally named image (cover.jpg, folder.png, ...), else its first image
+function pickImportCover(images) {
+  return images.find(image => importCoverNames.includes(
+    path.posix.basename(image.name, path.posix.extname(image.name)).toLowerCase())) || images[0] || null;
 }
 
-function renderIndexPage() {
-  const baseStyle = `
-    :root {
-      --bg: radial-gradient(circle at 20% 20%, #182848, #0f1624 50%, #0b0f1a 80%);
-      --panel: rgba(255, 255, 255, 0.06);
-      --accent: #1db954;
-      --accent-2: #4ddfa3;
-      --text: #f3f4f6;
-      --muted: #9ca3af;
-      --danger: #ef4444;
+// Import one audio file from the upload temp directory, which is moved into storage or
+// removed. Tracks already in the library (same title, artist and album) are skipped.
+// Returns the file's report entry.
+async function importTrack(tmpPath, name, cover, userId) {
+  const stored = [];
+  try {
+    const mimeType = await sniffFile(tmpPath);
+    if (!mimeType || mediaTypes[mimeType].kind !== 'music') {
+      return { file: name, status: 'skipped', reason: 'Not a supported audio file' };
     }
-    * { box-sizing: border-box; }
-    body {
-      margin: 0;
-      min-height: 100vh;
-      font-family: 'Inter', 'Segoe UI', system-ui, -apple-system, sans-serif;
-      color: var(--text);
-      background: var(--bg);
-      display: grid;
-      place-items: center;
-      padding: 24px;
+    // Tags win; the file name fills in whatever they leave out
+    const meta = await extractAudioMetadata(tmpPath);
+    const fromName = parseTrackFilename(name);
+    const title = meta.title || fromName.title;
+    const artist = meta.artist || fromName.artist;
+    const album = meta.album || null;
+    if (!title || !artist) {
+      return { file: name, status: 'failed', reason: 'No artist in the tags or an "Artist - Title" file name' };
     }
-    .app {
-      width: min(1200px, 100%);
-      background: linear-gradient(145deg, rgba(255,255,255,0.08), rgba(255,255,255,0.02));
-      border: 1px solid rgba(255,255,255,0.08);
-      border-radius: 20px;
-      box-shadow: 0 25px 60px rgba(0,0,0,0.35);
-      overflow: hidden;
-      backdrop-filter: blur(10px);
+
+    const existing = await dbGet(`SELECT id FROM tracks WHERE title = ? COLLATE NOCASE
+      AND artist = ? COLLATE NOCASE AND COALESCE(album, '') = ? COLLATE NOCASE`, [title, artist, album || '']);
+    if (existing) {
+      return { file: name, status: 'skipped', reason: 'Already in the library', trackId: existing.id, title, artist };
     }
-    .header {
-      padding: 20px 24px;
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      background: linear-gradient(90deg, rgba(29,185,84,0.18), rgba(29,185,84,0.06));
+
+    const { size } = await fs.promises.stat(tmpPath);
+    const filename = uuidv4() + mediaTypes[mimeType].ext;
+    await storage.put(`music/${filename}`, tmpPath, mimeType);
+    stored.push(['music', filename]);
+
+    let coverFile = meta.picture ? await saveEmbeddedCover(meta.picture) : null;
+    if (!coverFile && cover) {
+      // Each track gets its own copy, since deleting a track removes its cover
+      coverFile = { filename: uuidv4() + mediaTypes[cover.mimeType].ext, mimeType: cover.mimeType };
+      await storage.put(`covers/${coverFile.filename}`, cover.data, cover.mimeType);
     }
-    .title {
-      font-size: 24px;
-      font-weight: 700;
-      letter-spacing: 0.4px;
+    if (coverFile) {
+      stored.push(['covers', coverFile.filename]);
     }
-    .user-info {
-      display: flex;
-      align-items: center;
-      gap: 12px;
+
+    const trackId = uuidv4();
+    const { artistId, albumId } = await linkArtistAlbum(artist, album, meta.year);
+    await dbRun(`INSERT INTO tracks (id, title, artist, filename, mime_type, file_size, cover_filename,
+            cover_mime_type, duration, bitrate, album, track_number, disc_number, year, genre, uploaded_by,
+            artist_id, album_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [trackId, title, artist, filename, mimeType, size,
+       coverFile ? coverFile.filename : null, coverFile ? coverFile.mimeType : null,
+       meta.duration, meta.bitrate, album, meta.trackNumber, meta.discNumber, meta.year, meta.genre, userId,
+       artistId, albumId]);
+    await applyCommonSpellings([artistId], [albumId]);
+    metrics.uploads.inc();
+    metrics.uploadSize.observe({ field: 'music' }, size);
+    publishTrackEvent('track.added', trackId);
+    return { file: name, status: 'imported', trackId, title, artist, album };
+  } catch (err) {
+    stored.forEach(([kind, filename]) => removeStoredFile(kind, filename));
+    return { file: name, status: 'failed', reason: err.message };
+  } finally {
+    // Already gone unless the file was skipped or storing it failed
+    fs.unlink(tmpPath, () => {});
+  }
+}
+
+// Import a list of entries one at a time. Images are read first so that every track
+// can use its folder's cover. Returns the report: counts plus one entry per file.
+async function importEntries(entries, userId, logger) {
+  const files = [];
+  const coversByFolder = new Map();
+  const audio = [];
+
+  for (const entry of entries) {
+    if (importImageExtensions.test(entry.name) && entry.size <= maxImportCoverBytes) {
+      const data = await entry.read();
+      const mimeType = sniffMediaType(data);
+      if (mimeType && mediaTypes[mimeType].kind === 'covers') {
+        const folder = path.posix.dirname(entry.name);
+        coversByFolder.set(folder, [...(coversByFolder.get(folder) || []), { name: entry.name, data, mimeType }]);
+        files.push({ file: entry.name, status: 'skipped', reason: 'Cover image' });
+        continue;
+      }
     }
-    .pill {
-      padding: 6px 12px;
-      border-radius: 999px;
-      background: rgba(255,255,255,0.08);
-      font-size: 12px;
-      text-transform: uppercase;
-      letter-spacing: 0.5px;
+    audio.push(entry);
+  }
+
+  for (const entry of audio) {
+    if (entry.size > maxUploadBytes) {
+      files.push({ file: entry.name, status: 'failed', reason: 'Larger than the 100MB upload limit' });
+      continue;
     }
-    .login-form, .upload-form {
-      background: var(--panel);
-      border-radius: 16px;
-      padding: 24px;
-      margin: 24px;
-      border: 1px solid rgba(255,255,255,0.08);
+    const tmpPath = path.join(uploadTmpDir, uuidv4());
+    const cover = pickImportCover(coversByFolder.get(path.posix.dirname(entry.name)) || []);
+    let result;
+    try {
+      await entry.extractTo(tmpPath);
+      result = await importTrack(tmpPath, entry.name, cover, userId);
+    } catch (err) {
+      fs.unlink(tmpPath, () => {});
+      result = { file: entry.name, status: 'failed', reason: err.message };
     }
-    .form-group {
-      display: flex;
-      flex-direction: column;
-      gap: 8px;
-      margin-bottom: 16px;
+    if (result.status === 'failed') {
+      logger.warn('Import failed for file', { file: entry.name, error: result.reason });
     }
-    .form-group label {
-      font-weight: 600;
-      color: var(--text);
+    files.push(result);
+  }
+
+  files.sort((a, b) => a.file.localeCompare(b.file));
+  const count = status => files.filter(file => file.status === status).length;
+  const report = { imported: count('imported'), skipped: count('skipped'), failed: count('failed'), files };
+  logger.info('Import finished', { imported: report.imported, skipped: report.skipped, failed: report.failed, userId });
+  return report;
+}
+
+// Entries of a ZIP archive. Names inside the archive are only used for reporting and
+// parsing, never as paths to write to. Call close() when done.
+function openZipEntries(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+      if (err) {
+        return reject(err);
+      }
+      const entries = [];
+      const openStream = entry => new Promise((resolveStream, rejectStream) => {
+        zipfile.openReadStream(entry, (streamErr, stream) => (streamErr ? rejectStream(streamErr) : resolveStream(stream)));
+      });
+      zipfile.on('entry', (entry) => {
+        if (!entry.fileName.endsWith('/') && !isImportJunk(entry.fileName)) {
+          entries.push({
+            name: entry.fileName,
+            size: entry.uncompressedSize,
+            read: async () => {
+              const chunks = [];
+              for await (const chunk of await openStream(entry)) {
+                chunks.push(chunk);
+              }
+              return Buffer.concat(chunks);
+            },
+            extractTo: async (target) => pipeline(await openStream(entry), fs.createWriteStream(target))
+          });
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve({ entries, close: () => zipfile.close() }));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+  });
+}
+
+// Files under a directory, recursively, skipping hidden files and folders
+async function listImportDirectory(root) {
+  const entries = [];
+  const walk = async (dir) => {
+    const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    for (const dirent of dirents) {
+      const fullPath = path.join(dir, dirent.name);
+      const name = path.relative(root, fullPath).split(path.sep).join('/');
+      if (isImportJunk(name)) {
+        continue;
+      }
+      if (dirent.isDirectory()) {
+        await walk(fullPath);
+      } else if (dirent.isFile()) {
+        const { size } = await fs.promises.stat(fullPath);
+        entries.push({
+          name,
+          size,
+          read: () => fs.promises.readFile(fullPath),
+          extractTo: target => fs.promises.copyFile(fullPath, target)
+        });
+      }
     }
-    .form-group input, .form-group textarea {
-      padding: 12px;
-      border: 1px solid rgba(255,255,255,0.12);
-      border-radius: 8px;
-      background: rgba(255,255,255,0.04);
-      color: var(--text);
-      font-family: inherit;
+  };
+  await walk(root);
+  return entries;
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function sendText(res, status, text, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+  res.end(text);
+}
+
+// Log an unexpected failure with the request's id and stack trace, then answer with a generic error
+function sendServerError(req, res, err, message = 'Database error', status = 500) {
+  (req.log || log).error(message, { err });
+  return sendJson(res, status, { error: message });
+}
+
+function sendHtml(res, html) {
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(html);
+}
+
+// Parse a "bytes=" Range header into [{ start, end }] (inclusive offsets).
+// Returns null when the header should be ignored and -1 when it is unsatisfiable.
+function parseRange(header, size) {
+  const match = /^bytes=(.+)$/.exec(String(header).trim());
+  if (!match) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const part of match[1].split(',')) {
+    const spec = /^\s*(\d*)-(\d*)\s*$/.exec(part);
+    if (!spec || (spec[1] === '' && spec[2] === '')) {
+      return null;
     }
-    .form-group input:focus, .form-group textarea:focus {
-      outline: none;
-      border-color: var(--accent);
-      box-shadow: 0 0 0 2px rgba(29,185,84,0.2);
+
+    let start;
+    let end;
+    if (spec[1] === '') {
+      // Suffix range: the last N bytes
+      const suffix = Number(spec[2]);
+      if (suffix === 0) continue;
+      start = Math.max(size - suffix, 0);
+      end = size - 1;
+    } else {
+      start = Number(spec[1]);
+      end = spec[2] === '' ? size - 1 : Math.min(Number(spec[2]), size - 1);
+      if (spec[2] !== '' && Number(spec[2]) < start) {
+        return null;
+      }
     }
-    .content {
-      display: grid;
-      grid-template-columns: 1.2fr 1fr;
-      gap: 0;
+
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
     }
-    .now-playing {
-      padding: 24px;
-      border-right: 1px solid rgba(255,255,255,0.06);
-      min-height: 320px;
-      display: grid;
-      align-content: space-between;
-      gap: 20px;
+  }
+
+  if (ranges.length === 0) {
+    return -1;
+  }
+
+  // Merge overlapping or adjacent ranges so clients can't request the same bytes repeatedly
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
     }
-    .art {
-      width: 100%;
-      aspect-ratio: 1.4 / 1;
-      background: linear-gradient(135deg, #0ea5e9, #1db954);
-      border-radius: 16px;
-      position: relative;
-      overflow: hidden;
-      border: 1px solid rgba(255,255,255,0.08);
-      box-shadow: inset 0 0 0 1px rgba(255,255,255,0.04);
-      background-size: cover;
-      background-position: center;
+  }
+  return merged;
+}
+
+// Strong ETag for a stored object. Keys are unique per upload, so key, size and
+// modification time identify the bytes without reading them.
+function storageEtag(key, stat) {
+  const digest = crypto.createHash('sha1').update(`${key}:${stat.size}:${stat.lastModified.getTime()}`).digest('base64url');
+  return `"${digest}"`;
+}
+
+// If-None-Match uses weak comparison: W/ prefixes are ignored and * matches anything
+function etagMatches(header, etag) {
+  if (!header) {
+    return false;
+  }
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || strip(tag) === etag);
+}
+
+// HTTP dates have one-second resolution
+function notModifiedSince(header, lastModified) {
+  const since = Date.parse(header);
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+}
+
+// Conditional GET: If-None-Match wins over If-Modified-Since when both are sent
+function isNotModified(req, etag, lastModified) {
+  if (req.headers['if-none-match']) {
+    return etagMatches(req.headers['if-none-match'], etag);
+  }
+  return Boolean(lastModified && req.headers['if-modified-since'])
+    && notModifiedSince(req.headers['if-modified-since'], lastModified);
+}
+
+// If-Range only lets the Range through when the validator still matches the file.
+// ETags must match strongly and a date must be exactly the file's Last-Modified (RFC 9110 §13.1.5).
+function ifRangeMatches(req, etag, stat) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+  return Date.parse(ifRange) === Math.floor(stat.lastModified.getTime() / 1000) * 1000;
+}
+
+// JSON response with a strong ETag over the body, answering a matching If-None-Match
+// with 304. The body is still built, but unchanged lists aren't sent again.
+function sendCacheableJson(req, res, payload) {
+  const body = JSON.stringify(payload);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  const headers = { ETag: etag, 'Cache-Control': 'private, no-cache' };
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(body);
+}
+
+// Serve a stored object with Range support. onBytes, when given, is called with the
+// size of each chunk read from storage for the response.
+async function sendFile(req, res, key, mimeType, onBytes) {
+  let stat;
+  try {
+    stat = await storage.stat(key);
+  } catch (err) {
+    return sendServerError(req, res, err, 'Storage unavailable', 502);
+  }
+  if (!stat) {
+    return sendJson(res, 404, { error: 'File not found' });
+  }
+
+  const openStream = async (range) => {
+    const stream = await storage.read(key, range);
+    // Players abort requests whenever they seek; release the file or S3 socket when that happens
+    if (res.destroyed) {
+      stream.destroy();
+    } else {
+      res.once('close', () => stream.destroy());
     }
-    .art::after, .art::before {
-      content: '';
-      position: absolute;
-      border-radius: 50%;
-      filter: blur(30px);
-      opacity: 0.45;
+    if (onBytes) {
+      stream.on('data', chunk => onBytes(chunk.length));
     }
-    .art::after {
-      width: 160px; height: 160px;
-      background: #1db954;
-      top: -20px; right: -40px;
+    stream.on('error', () => res.destroy());
+    return stream;
+  };
+  const etag = storageEtag(key, stat);
+  // Media is only served to signed-in users, so keep it out of shared caches
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'X-Content-Type-Options': 'nosniff',
+    ETag: etag,
+    'Last-Modified': stat.lastModified.toUTCString(),
+    'Cache-Control': 'private, max-age=86400'
+  };
+
+  if (isNotModified(req, etag, stat.lastModified)) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+
+  let ranges = null;
+  if (req.headers.range && req.method === 'GET' && ifRangeMatches(req, etag, stat)) {
+    ranges = parseRange(req.headers.range, stat.size);
+  }
+
+  if (ranges === -1) {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}` });
+    return res.end();
+  }
+
+  // HEAD gets the headers a full GET would, without touching the object itself
+  if (req.method === 'HEAD') {
+    res.writeHead(200, { ...headers, 'Content-Type': mimeType, 'Content-Length': stat.size });
+    return res.end();
+  }
+
+  // Open the object before writing headers so a storage failure can still become a 502
+  let body;
+  try {
+    body = await openStream(ranges ? ranges[0] : null);
+  } catch (err) {
+    return sendServerError(req, res, err, 'Storage unavailable', 502);
+  }
+
+  if (!ranges) {
+    res.writeHead(200, {
+      ...headers,
+      'Content-Type': mimeType,
+      'Content-Length': stat.size
+    });
+    return body.pipe(res);
+  }
+
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.writeHead(206, {
+      ...headers,
+      'Content-Type': mimeType,
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${stat.size}`
+    });
+    return body.pipe(res);
+  }
+
+  // Multiple ranges are sent as multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: `\r\n--${boundary}\r\nContent-Type: ${mimeType}\r\nContent-Range: bytes ${start}-${end}/${stat.size}\r\n\r\n`
+  }));
+  const tail = `\r\n--${boundary}--\r\n`;
+  const length = parts.reduce((sum, p) => sum + Buffer.byteLength(p.head) + (p.end - p.start + 1), 0)
+    + Buffer.byteLength(tail);
+
+  res.writeHead(206, {
+    ...headers,
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': length
+  });
+
+  const writePart = async (index) => {
+    if (index >= parts.length) {
+      return res.end(tail);
     }
-    .art::before {
-      width: 200px; height: 200px;
-      background: #0ea5e9;
-      bottom: -60px; left: -50px;
+    const part = parts[index];
+    res.write(part.head);
+    let stream = body;
+    if (index > 0) {
+      try {
+        stream = await openStream(part);
+      } catch (err) {
+        return res.destroy();
+      }
+      if (res.destroyed) {
+        return;
+      }
     }
-    .track-info h2 {
-      margin: 0;
-      font-size: 22px;
-      letter-spacing: 0.3px;
+    stream.on('end', () => writePart(index + 1));
+    stream.pipe(res, { end: false });
+  };
+  writePart(0);
+}
+
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, jwtSecret);
+  } catch (err) {
+    return null;
+  }
+}
+
+function getTokenFromRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return null;
+}
+
+// Signed media URLs let <audio> elements and CSS backgrounds load streams and covers,
+// which can't carry an Authorization header. The signature covers the path, the expiry and
+// the session the URL was issued to, and the URL stops working once that session is revoked.
+function signMediaPath(mediaPath, exp, sessionId) {
+  return crypto.createHmac('sha256', jwtSecret).update(`media:${mediaPath}:${exp}:${sessionId}`).digest('base64url');
+}
+
+function signedMediaUrl(mediaPath, sessionId) {
+  const exp = Math.floor(Date.now() / 1000) + mediaUrlTtlSeconds;
+  return `${mediaPath}?exp=${exp}&sid=${encodeURIComponent(sessionId)}&sig=${signMediaPath(mediaPath, exp, sessionId)}`;
+}
+
+async function verifyMediaUrl(mediaPath, searchParams) {
+  const exp = Number(searchParams.get('exp'));
+  const sessionId = searchParams.get('sid');
+  if (!Number.isInteger(exp) || exp * 1000 < Date.now() || !sessionId) {
+    return false;
+  }
+  const expected = Buffer.from(signMediaPath(mediaPath, exp, sessionId));
+  const given = Buffer.from(String(searchParams.get('sig')));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return false;
+  }
+  const session = await dbGet(`SELECT sessions.id FROM sessions JOIN users ON users.id = sessions.user_id
+                               WHERE sessions.id = ? AND sessions.revoked_at IS NULL AND users.disabled = 0
+                                 AND sessions.expires_at > datetime('now')`, [sessionId]);
+  return Boolean(session);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function clientIp(req) {
+  if (trustProxy && req.headers['x-forwarded-for']) {
+    return String(req.headers['x-forwarded-for']).split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || null;
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, is_admin: Boolean(user.is_admin), sid: sessionId },
+    jwtSecret,
+    { expiresIn: accessTokenTtl }
+  );
+}
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret is stored
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function tokenResponse(user, sessionId, refreshToken) {
+  const token = signAccessToken(user, sessionId);
+  const { exp, iat } = jwt.decode(token);
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - iat,
+    user: { id: user.id, username: user.username, is_admin: user.is_admin }
+  };
+}
+
+async function createSession(user, req) {
+  const sessionId = uuidv4();
+  const refresh = newRefreshToken(sessionId);
+  await dbRun(`DELETE FROM sessions WHERE user_id = ? AND expires_at <= datetime('now')`, [user.id]);
+  await dbRun(`INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, expires_at)
+               VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+    [sessionId, user.id, refresh.hash, String(req.headers['user-agent'] || '').slice(0, 255) || null,
+     clientIp(req), `+${refreshTokenTtlDays} days`]);
+  return tokenResponse(user, sessionId, refresh.token);
+}
+
+// Rotate a refresh token. Presenting an already-rotated token revokes the session,
+// since it means the token was copied.
+async function refreshSession(refreshToken, logger = log) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+
+  const session = await dbGet(`SELECT sessions.*, users.username, users.is_admin
+                               FROM sessions JOIN users ON users.id = sessions.user_id
+                               WHERE sessions.id = ? AND sessions.revoked_at IS NULL AND users.disabled = 0
+                                 AND sessions.expires_at > datetime('now')`, [sessionId]);
+  if (!session) {
+    return null;
+  }
+
+  if (session.refresh_token_hash !== hashToken(secret)) {
+    logger.warn('Refresh token reuse detected, session revoked', { sessionId: session.id, userId: session.user_id });
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const refresh = newRefreshToken(session.id);
+  const { changes } = await dbRun(`UPDATE sessions SET refresh_token_hash = ?, last_used_at = CURRENT_TIMESTAMP
+                                   WHERE id = ? AND refresh_token_hash = ?`,
+    [refresh.hash, session.id, session.refresh_token_hash]);
+  if (!changes) {
+    return null;
+  }
+
+  const user = { id: session.user_id, username: session.username, is_admin: session.is_admin };
+  return tokenResponse(user, session.id, refresh.token);
+}
+
+async function revokeSession(sessionId) {
+  endSessionStreams(await dbAll(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+                                 WHERE id = ? AND revoked_at IS NULL RETURNING id`, [sessionId]));
+}
+
+// End the live event streams of revoked or deleted sessions. Goes through the event bus
+// so streams held by other replicas end too; the event itself is never sent to clients.
+function endSessionStreams(sessions) {
+  if (sessions.length > 0) {
+    publishEvent('session.revoked', { sessionIds: sessions.map(session => session.id) });
+  }
+}
+
+// Resolve the request's access token to a user. Besides the JWT signature and expiry, the
+// session must still be live and the user must still exist with the role the token claims,
+// so logout, deletion and demotion take effect immediately.
+async function authenticate(req) {
+  const decoded = verifyToken(getTokenFromRequest(req));
+  if (!decoded || !decoded.sid) {
+    return null;
+  }
+
+  const user = await dbGet(`SELECT users.id, users.username, users.is_admin
+                            FROM sessions JOIN users ON users.id = sessions.user_id
+                            WHERE sessions.id = ? AND sessions.user_id = ? AND sessions.revoked_at IS NULL
+                              AND users.disabled = 0 AND sessions.expires_at > datetime('now')`, [decoded.sid, decoded.id]);
+  if (!user || Boolean(user.is_admin) !== Boolean(decoded.is_admin)) {
+    return null;
+  }
+  return { ...user, sid: decoded.sid, exp: decoded.exp };
+}
+
+// Failed-attempt tracker with exponential backoff. After `freeAttempts` failures each further
+// failure blocks the key for twice as long as the last, up to `maxDelayMs`. A key's history is
+// forgotten after `resetAfterMs` without failures.
+function createBackoffThrottle({ freeAttempts, baseDelayMs, maxDelayMs, resetAfterMs }) {
+  const entries = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (now - entry.lastFailure > resetAfterMs && entry.blockedUntil <= now) {
+        entries.delete(key);
+      }
     }
-    .track-info p {
-      margin: 4px 0 0;
-      color: var(--muted);
+  }, 60 * 1000).unref();
+
+  return {
+    // Milliseconds until the key may try again, or 0
+    check(key) {
+      const entry = entries.get(key);
+      return entry ? Math.max(entry.blockedUntil - Date.now(), 0) : 0;
+    },
+    fail(key) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || now - entry.lastFailure > resetAfterMs) {
+        entry = { failures: 0, blockedUntil: 0 };
+        entries.set(key, entry);
+      }
+      entry.failures += 1;
+      entry.lastFailure = now;
+      if (entry.failures >= freeAttempts) {
+        const delay = Math.min(baseDelayMs * 2 ** (entry.failures - freeAttempts), maxDelayMs);
+        entry.blockedUntil = now + delay;
+      }
+    },
+    reset(key) {
+      entries.delete(key);
     }
-    .controls {
+  };
+}
+
+// Fixed-window counter: hit() returns milliseconds until the window resets once `limit` is used up
+function createRateLimit({ limit, windowMs }) {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return window.count > limit ? window.resetAt - now : 0;
+    }
+  };
+}
+
+const loginIpThrottle = createBackoffThrottle({
+  freeAttempts: 10, baseDelayMs: 1000, maxDelayMs: 15 * 60 * 1000, resetAfterMs: 15 * 60 * 1000
+});
+const loginUserThrottle = createBackoffThrottle({
+  freeAttempts: 5, baseDelayMs: 1000, maxDelayMs: 15 * 60 * 1000, resetAfterMs: 15 * 60 * 1000
+});
+const registerRateLimit = createRateLimit({ limit: registerLimitPerHour, windowMs: 60 * 60 * 1000 });
+
+function sendTooManyRequests(res, retryAfterMs, error) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  return sendJson(res, 429, { error, retryAfter }, { 'Retry-After': String(retryAfter) });
+}
+
+// Compared against when the username doesn't exist, so response time doesn't reveal valid usernames
+const dummyPasswordHash = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const commonPasswords = new Set([
+  '123456', '123456789', '12345678', '1234567890', 'password', 'password1', 'password123', 'qwerty',
+  'qwerty123', 'qwertyuiop', '111111', '000000', '123123', '1q2w3e4r', 'abc123', 'abcd1234', 'iloveyou',
+  'admin', 'admin123', 'administrator', 'welcome', 'welcome1', 'letmein', 'monkey', 'dragon', 'football',
+  'baseball', 'sunshine', 'princess', 'master', 'shadow', 'superman', 'michael', 'trustno1', 'passw0rd',
+  'changeme', 'secret', 'zaq12wsx', '1qaz2wsx', 'asdfghjkl', 'starwars', 'whatever', 'freedom', 'music',
+  'musiclover', 'spotify', 'spotify123'
+]);
+
+// Returns an error message, or null when the username and password are acceptable
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_.-]{2,31}$/.test(username)) {
+    return 'Username must be 3-32 characters: letters, digits, "_", "." or "-", starting with a letter or digit';
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  // bcrypt ignores everything after 72 bytes
+  if (Buffer.byteLength(password) > 72) {
+    return 'Password must be at most 72 bytes';
+  }
+  if (commonPasswords.has(password.toLowerCase()) || password.toLowerCase() === username.toLowerCase()) {
+    return 'Password is too common or matches the username';
+  }
+  return null;
+}
+
+function renderIndexPage() {
+  const baseStyle = `
+    :root {
+      --bg: radial-gradient(circle at 20% 20%, #182848, #0f1624 50%, #0b0f1a 80%);
+      --panel: rgba(255, 255, 255, 0.06);
+      --accent: #1db954;
+      --accent-2: #4ddfa3;
+      --text: #f3f4f6;
+      --muted: #9ca3af;
+      --danger: #ef4444;
+    }
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      min-height: 100vh;
+      font-family: 'Inter', 'Segoe UI', system-ui, -apple-system, sans-serif;
+      color: var(--text);
+      background: var(--bg);
+      display: grid;
+      place-items: center;
+      padding: 24px;
+    }
+    .app {
+      width: min(1200px, 100%);
+      background: linear-gradient(145deg, rgba(255,255,255,0.08), rgba(255,255,255,0.02));
+      border: 1px solid rgba(255,255,255,0.08);
+      border-radius: 20px;
+      box-shadow: 0 25px 60px rgba(0,0,0,0.35);
+      overflow: hidden;
+      backdrop-filter: blur(10px);
+    }
+    .header {
+      padding: 20px 24px;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      background: linear-gradient(90deg, rgba(29,185,84,0.18), rgba(29,185,84,0.06));
+    }
+    .title {
+      font-size: 24px;
+      font-weight: 700;
+      letter-spacing: 0.4px;
+    }
+    .user-info {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+    }
+    .pill {
+      padding: 6px 12px;
+      border-radius: 999px;
+      background: rgba(255,255,255,0.08);
+      font-size: 12px;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    .login-form, .upload-form {
+      background: var(--panel);
+      border-radius: 16px;
+      padding: 24px;
+      margin: 24px;
+      border: 1px solid rgba(255,255,255,0.08);
+    }
+    .form-group {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+    .form-group label {
+      font-weight: 600;
+      color: var(--text);
+    }
+    .form-group input, .form-group textarea {
+      padding: 12px;
+      border: 1px solid rgba(255,255,255,0.12);
+      border-radius: 8px;
+      background: rgba(255,255,255,0.04);
+      color: var(--text);
+      font-family: inherit;
+    }
+    .form-group input:focus, .form-group textarea:focus {
+      outline: none;
+      border-color: var(--accent);
+      box-shadow: 0 0 0 2px rgba(29,185,84,0.2);
+    }
+    .content {
+      display: grid;
+      grid-template-columns: 1.2fr 1fr;
+      gap: 0;
+    }
+    .now-playing {
+      padding: 24px;
+      border-right: 1px solid rgba(255,255,255,0.06);
+      min-height: 320px;
+      display: grid;
+      align-content: space-between;
+      gap: 20px;
+    }
+    .art {
+      width: 100%;
+      aspect-ratio: 1.4 / 1;
+      background: linear-gradient(135deg, #0ea5e9, #1db954);
+      border-radius: 16px;
+      position: relative;
+      overflow: hidden;
+      border: 1px solid rgba(255,255,255,0.08);
+      box-shadow: inset 0 0 0 1px rgba(255,255,255,0.04);
+      background-size: cover;
+      background-position: center;
+    }
+    .art::after, .art::before {
+      content: '';
+      position: absolute;
+      border-radius: 50%;
+      filter: blur(30px);
+      opacity: 0.45;
+    }
+    .art::after {
+      width: 160px; height: 160px;
+      background: #1db954;
+      top: -20px; right: -40px;
+    }
+    .art::before {
+      width: 200px; height: 200px;
+      background: #0ea5e9;
+      bottom: -60px; left: -50px;
+    }
+    .track-info h2 {
+      margin: 0;
+      font-size: 22px;
+      letter-spacing: 0.3px;
+    }
+    .track-info p {
+      margin: 4px 0 0;
+      color: var(--muted);
+    }
+    .controls {
       display: flex;
       align-items: center;
       gap: 12px;
@@ -379,6 +1897,44 @@ function renderIndexPage() {
     .track .meta { display: flex; flex-direction: column; gap: 4px; }
     .track .title { font-weight: 600; }
     .track .artist { color: var(--muted); font-size: 13px; }
+    .track .actions { display: flex; align-items: center; gap: 6px; }
+    .track .actions button { padding: 6px 8px; font-size: 12px; border-radius: 8px; }
+    .track .actions button.like { color: var(--muted); }
+    .track .actions button.like.active { color: var(--accent); }
+    .playlist-bar {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      flex-wrap: wrap;
+    }
+    .playlist-bar select {
+      flex: 1;
+      min-width: 140px;
+      padding: 10px;
+      border: 1px solid rgba(255,255,255,0.12);
+      border-radius: 8px;
+      background: rgba(255,255,255,0.04);
+      color: var(--text);
+      font-family: inherit;
+    }
+    .playlist-bar select option { background: #0f1624; }
+    .search {
+      width: 100%;
+      padding: 10px 12px;
+      border: 1px solid rgba(255,255,255,0.12);
+      border-radius: 8px;
+      background: rgba(255,255,255,0.04);
+      color: var(--text);
+      font-family: inherit;
+    }
+    .search:focus { outline: none; border-color: var(--accent); }
+    #tracks { max-height: 60vh; overflow-y: auto; }
+    .browse { display: grid; gap: 8px; max-height: 60vh; overflow-y: auto; }
+    .browse-header { display: flex; align-items: center; justify-content: space-between; gap: 12px; }
+    .browse-header h3 { margin: 0 0 4px; }
+    .browse-header .sub { color: var(--muted); font-size: 13px; }
+    .track .artist a, .browse-header a { color: inherit; cursor: pointer; text-decoration: underline dotted; }
+    .list-note { color: var(--muted); font-size: 12px; text-align: center; padding: 8px; }
     .badge {
       background: rgba(29,185,84,0.16);
       color: var(--accent);
@@ -387,6 +1943,19 @@ function renderIndexPage() {
       font-size: 11px;
       letter-spacing: 0.3px;
     }
+    .badge.offline { background: rgba(255,255,255,0.06); color: var(--muted); }
+    .toast {
+      position: fixed;
+      right: 24px;
+      bottom: 24px;
+      max-width: 360px;
+      padding: 12px 16px;
+      border-radius: 12px;
+      background: #0f1624;
+      border: 1px solid var(--accent);
+      box-shadow: 0 8px 30px rgba(0,0,0,0.4);
+      font-size: 14px;
+    }
     .status {
       color: var(--muted);
       font-size: 13px;
@@ -421,702 +1990,4526 @@ function renderIndexPage() {
       border-top: 1px solid rgba(255,255,255,0.06);
       background: rgba(255,255,255,0.02);
     }
-    .hidden { display: none !important; }
-    @media (max-width: 900px) {
-      .content { grid-template-columns: 1fr; }
-      .now-playing { border-right: none; border-bottom: 1px solid rgba(255,255,255,0.06); }
+    .hidden { display: none !important; }
+    @media (max-width: 900px) {
+      .content { grid-template-columns: 1fr; }
+      .now-playing { border-right: none; border-bottom: 1px solid rgba(255,255,255,0.06); }
+    }
+  `;
+
+  const html = `
+  <!doctype html>
+  <html lang="en">
+    <head>
+      <meta charset="utf-8"/>
+      <meta name="viewport" content="width=device-width, initial-scale=1"/>
+      <title>Music Streaming Platform</title>
+      <link rel="preconnect" href="https://fonts.googleapis.com">
+      <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+      <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap" rel="stylesheet">
+      <style>${baseStyle}</style>
+    </head>
+    <body>
+      <div class="app">
+        <div class="header">
+          <div class="title">Music Platform</div>
+          <div class="user-info">
+            <div id="username" class="pill"></div>
+            <button id="sessions-btn" class="hidden">Devices</button>
+            <button id="logout" class="hidden">Logout</button>
+          </div>
+        </div>
+
+        <!-- Login Form -->
+        <div id="login-section" class="login-form">
+          <h2>Login</h2>
+          <div class="form-group">
+            <label>Username:</label>
+            <input type="text" id="login-username" placeholder="Enter username" />
+          </div>
+          <div class="form-group">
+            <label>Password:</label>
+            <input type="password" id="login-password" placeholder="Enter password" />
+          </div>
+          <button id="login-btn" class="play">Login</button>
+          <button id="register-btn">Register</button>
+        </div>
+
+        <!-- Registration Form -->
+        <div id="register-section" class="login-form hidden">
+          <h2>Register</h2>
+          <div class="form-group">
+            <label>Username:</label>
+            <input type="text" id="register-username" placeholder="Choose username" />
+          </div>
+          <div class="form-group">
+            <label>Password:</label>
+            <input type="password" id="register-password" placeholder="Choose password" />
+          </div>
+          <button id="register-submit" class="play">Register</button>
+          <button id="back-to-login">Back to Login</button>
+        </div>
+
+        <!-- Main App -->
+        <div id="main-app" class="hidden">
+          <div class="content">
+            <div class="now-playing">
+              <div>
+                <div id="album-art" class="art"></div>
+                <div class="track-info" style="margin-top:16px;">
+                  <h2 id="track-title">Select a track</h2>
+                  <p id="track-artist">Choose from playlist</p>
+                </div>
+                <div class="controls" style="margin-top:16px;">
+                  <button id="prev" title="Previous">&lt;&lt; Prev</button>
+                  <button class="play" id="play">Play</button>
+                  <button id="next" title="Next">Next &gt;&gt;</button>
+                  <button class="toggle" id="shuffle" title="Shuffle">Shuffle</button>
+                  <button class="toggle" id="mute" title="Mute">Mute</button>
+                </div>
+              <div class="progress">
+                <input id="seek" class="bar" type="range" min="0" max="100" value="0" step="0.5"/>
+                <div class="time">
+                  <span id="current">0:00</span>
+                  <span id="duration">0:00</span>
+                </div>
+              </div>
+              <div class="topline">
+                <div class="status"><span class="dot"></span><span id="status-text">Ready</span></div>
+                <div class="env">env: ${appEnv}</div>
+              </div>
+            </div>
+          </div>
+          <div class="playlist">
+            <div class="topline">
+              <div>Playlist</div>
+              <div id="live" class="badge offline" title="Connecting for live updates">Live</div>
+            </div>
+            <div class="playlist-bar">
+              <select id="playlist-select"><option value="all">All tracks</option></select>
+              <button id="playlist-new" title="New playlist">New</button>
+              <button id="playlist-rename" class="hidden" title="Rename playlist">Rename</button>
+              <button id="playlist-delete" class="danger hidden" title="Delete playlist">Delete</button>
+            </div>
+            <input type="search" id="search" class="search" placeholder="Search title or artist" />
+            <div id="browse" class="browse hidden"></div>
+            <div id="tracks"></div>
+          </div>
+
+          <!-- Sessions -->
+          <div id="sessions-panel" class="admin-panel hidden">
+            <h2>Signed-in Devices</h2>
+            <div id="sessions-list"></div>
+            <button id="sessions-revoke-others" class="danger" style="margin-top:12px;">Sign out all other devices</button>
+          </div>
+
+          <!-- Admin Panel -->
+          <div id="admin-panel" class="admin-panel hidden">
+            <h2>Admin Panel - Upload Music</h2>
+            <form id="upload-form" enctype="multipart/form-data">
+              <div class="form-group">
+                <label>Track Title (blank to use file tags):</label>
+                <input type="text" id="track-title-input" />
+              </div>
+              <div class="form-group">
+                <label>Artist Name (blank to use file tags):</label>
+                <input type="text" id="artist-input" />
+              </div>
+              <div class="form-group">
+                <label>Music File:</label>
+                <input type="file" id="music-file" accept="audio/*" required />
+              </div>
+              <div class="form-group">
+                <label>Cover Image (optional):</label>
+                <input type="file" id="cover-file" accept="image/*" />
+              </div>
+              <button type="submit" class="play">Upload Track</button>
+            </form>
+
+            <h2>Import an Album</h2>
+            <form id="import-form" enctype="multipart/form-data">
+              <div class="form-group">
+                <label>ZIP of audio files and cover images:</label>
+                <input type="file" id="import-file" accept=".zip,application/zip" required />
+              </div>
+              <button type="submit" class="play">Import</button>
+            </form>
+
+            <h2>Manage Users</h2>
+            <div class="form-group">
+              <label><input type="checkbox" id="registration-open" /> Allow open registration</label>
+            </div>
+            <input type="search" id="admin-user-search" class="search" placeholder="Filter users" />
+            <div id="admin-users"></div>
+
+            <h2>Manage Tracks</h2>
+            <input type="search" id="admin-search" class="search" placeholder="Filter tracks" />
+            <div id="admin-tracks"></div>
+            <button id="admin-more" class="hidden">Load more</button>
+
+            <form id="edit-form" class="hidden" enctype="multipart/form-data">
+              <h3 id="edit-heading">Edit Track</h3>
+              <div class="form-group">
+                <label>Track Title:</label>
+                <input type="text" id="edit-title" required />
+              </div>
+              <div class="form-group">
+                <label>Artist Name:</label>
+                <input type="text" id="edit-artist" required />
+              </div>
+              <div class="form-group">
+                <label>Album:</label>
+                <input type="text" id="edit-album" />
+              </div>
+              <div class="form-group">
+                <label>Track Number:</label>
+                <input type="number" id="edit-track-number" min="0" />
+              </div>
+              <div class="form-group">
+                <label>Disc Number:</label>
+                <input type="number" id="edit-disc-number" min="0" />
+              </div>
+              <div class="form-group">
+                <label>Year:</label>
+                <input type="number" id="edit-year" min="0" />
+              </div>
+              <div class="form-group">
+                <label>Genre:</label>
+                <input type="text" id="edit-genre" />
+              </div>
+              <div class="form-group">
+                <label>Replace Cover Image:</label>
+                <input type="file" id="edit-cover" accept="image/*" />
+                <label><input type="checkbox" id="edit-remove-cover" /> Remove current cover</label>
+              </div>
+              <div class="form-group">
+                <label>Replace Music File:</label>
+                <input type="file" id="edit-music" accept="audio/*" />
+              </div>
+              <button type="submit" class="play">Save Changes</button>
+              <button type="button" id="edit-cancel">Cancel</button>
+            </form>
+          </div>
+        </div>
+      </div>
+      <div id="toast" class="toast hidden" role="status"></div>
+
+      <script>
+        let token = localStorage.getItem('token');
+        let refreshToken = localStorage.getItem('refreshToken');
+        let refreshing = null;
+        let currentUser = null;
+        
+        const state = {
+          tracks: [],
+          playlists: [],
+          view: 'all',
+          // The artist list, or the artist or album shown in an 'artist:<id>' or 'album:<id>' view
+          browse: null,
+          query: '',
+          next: null,
+          loadingMore: false,
+          current: 0,
+          playing: false,
+          shuffle: false
+        };
+
+        const audio = new Audio();
+        audio.preload = 'metadata';
+
+        // What has been reported for the loaded track, so each listen is counted once
+        const listen = { trackId: null, started: false, finished: false };
+
+        const els = {
+          title: document.getElementById('track-title'),
+          artist: document.getElementById('track-artist'),
+          status: document.getElementById('status-text'),
+          tracks: document.getElementById('tracks'),
+          browse: document.getElementById('browse'),
+          play: document.getElementById('play'),
+          next: document.getElementById('next'),
+          prev: document.getElementById('prev'),
+          shuffle: document.getElementById('shuffle'),
+          mute: document.getElementById('mute'),
+          seek: document.getElementById('seek'),
+          current: document.getElementById('current'),
+          duration: document.getElementById('duration'),
+          albumArt: document.getElementById('album-art'),
+          playlistSelect: document.getElementById('playlist-select'),
+          search: document.getElementById('search'),
+          playlistRename: document.getElementById('playlist-rename'),
+          playlistDelete: document.getElementById('playlist-delete'),
+          live: document.getElementById('live'),
+          toast: document.getElementById('toast')
+        };
+
+        function fmt(seconds) {
+          const m = Math.floor(seconds / 60);
+          const s = Math.floor(seconds % 60);
+          return m + ':' + String(s).padStart(2,'0');
+        }
+
+        function saveTokens(result) {
+          token = result.token;
+          refreshToken = result.refreshToken;
+          localStorage.setItem('token', token);
+          localStorage.setItem('refreshToken', refreshToken);
+        }
+
+        function clearTokens() {
+          token = null;
+          refreshToken = null;
+          localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
+        }
+
+        // Trade the refresh token for a new pair; concurrent callers share one request
+        function refreshTokens() {
+          if (!refreshing) {
+            refreshing = fetch('/api/auth/refresh', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ refreshToken })
+            })
+              .then(response => (response.ok ? response.json() : null))
+              .then(result => {
+                if (!result || !result.token) return false;
+                saveTokens(result);
+                return true;
+              })
+              .catch(() => false)
+              .finally(() => { refreshing = null; });
+          }
+          return refreshing;
+        }
+
+        // fetch with the access token, refreshing it once if the server rejects it
+        async function authFetch(endpoint, options = {}) {
+          const send = () => fetch(endpoint, {
+            ...options,
+            headers: {
+              ...(token && { Authorization: \`Bearer \${token}\` }),
+              ...options.headers
+            }
+          });
+          let response = await send();
+          if (response.status === 401 && refreshToken && await refreshTokens()) {
+            response = await send();
+          }
+          return response;
+        }
+
+        async function apiCall(endpoint, options = {}) {
+          const response = await authFetch(endpoint, {
+            ...options,
+            headers: {
+              'Content-Type': 'application/json',
+              ...options.headers
+            }
+          });
+          return response.json();
+        }
+
+        // Validation failures list each rejected field
+        function errorMessage(result, fallback) {
+          if (Array.isArray(result.fields)) {
+            return result.fields.map(f => f.field + ' ' + f.message).join('\\n');
+          }
+          return result.error || fallback;
+        }
+
+        async function login() {
+          const username = document.getElementById('login-username').value;
+          const password = document.getElementById('login-password').value;
+          
+          const result = await apiCall('/api/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+          });
+          
+          if (result.token) {
+            saveTokens(result);
+            currentUser = result.user;
+            showMainApp();
+          } else {
+            alert(errorMessage(result, 'Login failed'));
+          }
+        }
+
+        async function register() {
+          const username = document.getElementById('register-username').value;
+          const password = document.getElementById('register-password').value;
+          
+          const result = await apiCall('/api/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+          });
+          
+          if (result.success) {
+            alert('Registration successful! Please login.');
+            showLoginForm();
+          } else {
+            alert(errorMessage(result, 'Registration failed'));
+          }
+        }
+
+        function showLoginForm() {
+          document.getElementById('login-section').classList.remove('hidden');
+          document.getElementById('register-section').classList.add('hidden');
+          document.getElementById('main-app').classList.add('hidden');
+        }
+
+        function showRegisterForm() {
+          document.getElementById('login-section').classList.add('hidden');
+          document.getElementById('register-section').classList.remove('hidden');
+          document.getElementById('main-app').classList.add('hidden');
+        }
+
+        async function showMainApp() {
+          document.getElementById('login-section').classList.add('hidden');
+          document.getElementById('register-section').classList.add('hidden');
+          document.getElementById('main-app').classList.remove('hidden');
+          
+          document.getElementById('username').textContent = currentUser.username;
+          document.getElementById('logout').classList.remove('hidden');
+          document.getElementById('sessions-btn').classList.remove('hidden');
+          
+          if (currentUser.is_admin) {
+            document.getElementById('admin-panel').classList.remove('hidden');
+            fetchAdminTracks();
+            fetchAdminUsers();
+            fetchAdminSettings();
+          }
+          
+          await fetchPlaylists();
+          await fetchTracks();
+          live.missed = false;
+          connectLive();
+        }
+
+        function logout() {
+          reportLeave();
+          stopLive();
+          if (token || refreshToken) {
+            fetch('/api/auth/logout', {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+                ...(token && { Authorization: \`Bearer \${token}\` })
+              },
+              body: JSON.stringify({ refreshToken })
+            }).catch(() => {});
+          }
+          clearTokens();
+          currentUser = null;
+          state.view = 'all';
+          state.browse = null;
+          renderBrowse();
+          document.getElementById('sessions-panel').classList.add('hidden');
+          showLoginForm();
+        }
+
+        async function toggleSessions() {
+          const panel = document.getElementById('sessions-panel');
+          panel.classList.toggle('hidden');
+          if (!panel.classList.contains('hidden')) await fetchSessions();
+        }
+
+        async function fetchSessions() {
+          const result = await apiCall('/api/me/sessions');
+          const list = document.getElementById('sessions-list');
+          list.innerHTML = '';
+          (result.sessions || []).forEach(session => {
+            const div = document.createElement('div');
+            div.className = 'track' + (session.current ? ' active' : '');
+            const meta = document.createElement('div');
+            meta.className = 'meta';
+            const title = document.createElement('div');
+            title.className = 'title';
+            title.textContent = (session.user_agent || 'Unknown device') + (session.current ? ' (this device)' : '');
+            const detail = document.createElement('div');
+            detail.className = 'artist';
+            detail.textContent = (session.ip || '') + ' · last active ' + session.last_used_at + ' UTC';
+            meta.appendChild(title);
+            meta.appendChild(detail);
+            div.appendChild(meta);
+            if (!session.current) {
+              const btn = document.createElement('button');
+              btn.className = 'danger';
+              btn.textContent = 'Sign out';
+              btn.onclick = async () => {
+                await apiCall('/api/me/sessions/' + session.id, { method: 'DELETE' });
+                await fetchSessions();
+              };
+              div.appendChild(btn);
+            }
+            list.appendChild(div);
+          });
+        }
+
+        async function revokeOtherSessions() {
+          if (!confirm('Sign out every other device?')) return;
+          await apiCall('/api/me/sessions', { method: 'DELETE' });
+          await fetchSessions();
+        }
+
+        async function fetchPlaylists() {
+          const result = await apiCall('/api/playlists');
+          state.playlists = result.playlists || [];
+          if (isPlaylistView() && !state.playlists.some(p => String(p.id) === state.view)) {
+            state.view = 'all';
+          }
+          renderPlaylistSelect();
+        }
+
+        function renderPlaylistSelect() {
+          els.playlistSelect.innerHTML = '';
+          const all = document.createElement('option');
+          all.value = 'all';
+          all.textContent = 'All tracks';
+          els.playlistSelect.appendChild(all);
+          const history = document.createElement('option');
+          history.value = 'history';
+          history.textContent = 'Recently played';
+          els.playlistSelect.appendChild(history);
+          const liked = document.createElement('option');
+          liked.value = 'liked';
+          liked.textContent = 'Liked songs';
+          els.playlistSelect.appendChild(liked);
+          const artists = document.createElement('option');
+          artists.value = 'artists';
+          artists.textContent = 'Artists';
+          els.playlistSelect.appendChild(artists);
+          if (state.browse && (state.browse.artist || state.browse.album)) {
+            const page = document.createElement('option');
+            page.value = state.view;
+            page.textContent = state.browse.artist ? state.browse.artist.name : state.browse.album.title;
+            els.playlistSelect.appendChild(page);
+          }
+          state.playlists.forEach(p => {
+            const option = document.createElement('option');
+            option.value = String(p.id);
+            option.textContent = p.name + ' (' + p.track_count + ')';
+            els.playlistSelect.appendChild(option);
+          });
+          els.playlistSelect.value = state.view;
+          els.search.classList.toggle('hidden', state.view !== 'all');
+          els.playlistRename.classList.toggle('hidden', !isPlaylistView());
+          els.playlistDelete.classList.toggle('hidden', !isPlaylistView());
+        }
+
+        function isPlaylistView() {
+          return /^\\d+$/.test(state.view);
+        }
+
+        function isBrowseView() {
+          return state.view === 'artists' || /^(artist|album):/.test(state.view);
+        }
+
+        async function switchView(view) {
+          state.view = view;
+          state.current = 0;
+          state.browse = null;
+          renderPlaylistSelect();
+          renderBrowse();
+          await fetchTracks();
+        }
+
+        // Play the current list from the top, in order
+        function playInOrder() {
+          if (state.shuffle) toggleShuffle();
+          loadTrack(0, true);
+        }
+
+        function plural(count, noun) {
+          return count + ' ' + noun + (count === 1 ? '' : 's');
+        }
+
+        function browseLink(text, view) {
+          const a = document.createElement('a');
+          a.textContent = text;
+          a.onclick = (e) => { e.stopPropagation(); switchView(view); };
+          return a;
+        }
+
+        // The artist list, or the heading and albums above an artist's or album's tracks
+        function renderBrowse() {
+          const browse = state.browse;
+          els.browse.innerHTML = '';
+          els.browse.classList.toggle('hidden', !browse);
+          els.tracks.classList.toggle('hidden', state.view === 'artists');
+          if (!browse) return;
+
+          const addRow = (title, detail, onclick) => {
+            const div = document.createElement('div');
+            div.className = 'track';
+            const meta = document.createElement('div');
+            meta.className = 'meta';
+            const titleEl = document.createElement('div');
+            titleEl.className = 'title';
+            titleEl.textContent = title;
+            const detailEl = document.createElement('div');
+            detailEl.className = 'artist';
+            detailEl.textContent = detail;
+            meta.appendChild(titleEl);
+            meta.appendChild(detailEl);
+            div.appendChild(meta);
+            div.onclick = onclick;
+            els.browse.appendChild(div);
+          };
+
+          if (browse.artists) {
+            browse.artists.forEach(a => addRow(a.name,
+              plural(a.album_count, 'album') + ' · ' + plural(a.track_count, 'track'),
+              () => switchView('artist:' + a.id)));
+            if (browse.artists.length === 0) {
+              const note = document.createElement('div');
+              note.className = 'list-note';
+              note.textContent = 'No artists yet';
+              els.browse.appendChild(note);
+            }
+            return;
+          }
+
+          const header = document.createElement('div');
+          header.className = 'browse-header';
+          const heading = document.createElement('div');
+          const h3 = document.createElement('h3');
+          const sub = document.createElement('div');
+          sub.className = 'sub';
+          const playAll = document.createElement('button');
+          playAll.className = 'play';
+          playAll.onclick = playInOrder;
+          if (browse.album) {
+            const album = browse.album;
+            h3.textContent = album.title;
+            sub.appendChild(browseLink(album.artist, 'artist:' + album.artist_id));
+            const details = [album.year, plural(album.track_count, 'track'), fmt(album.duration)].filter(Boolean);
+            sub.appendChild(document.createTextNode(' · ' + details.join(' · ')));
+            playAll.textContent = 'Play album';
+          } else {
+            h3.textContent = browse.artist.name;
+            sub.textContent = plural(browse.albums.length, 'album') + ' · ' + plural(browse.tracks.length, 'track');
+            playAll.textContent = 'Play all';
+          }
+          heading.appendChild(h3);
+          heading.appendChild(sub);
+          header.appendChild(heading);
+          header.appendChild(playAll);
+          els.browse.appendChild(header);
+          (browse.albums || []).forEach(album => addRow(album.title,
+            [album.year, plural(album.track_count, 'track')].filter(Boolean).join(' · '),
+            () => switchView('album:' + album.id)));
+        }
+
+        async function createPlaylist() {
+          const name = prompt('Playlist name');
+          if (!name) return;
+          const result = await apiCall('/api/playlists', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+          });
+          if (!result.playlist) {
+            alert(errorMessage(result, 'Could not create playlist'));
+            return;
+          }
+          await fetchPlaylists();
+          await switchView(String(result.playlist.id));
+        }
+
+        async function renamePlaylist() {
+          const playlist = state.playlists.find(p => String(p.id) === state.view);
+          if (!playlist) return;
+          const name = prompt('Rename playlist', playlist.name);
+          if (!name) return;
+          const result = await apiCall('/api/playlists/' + playlist.id, {
+            method: 'PATCH',
+            body: JSON.stringify({ name })
+          });
+          if (result.error) alert(errorMessage(result));
+          await fetchPlaylists();
+        }
+
+        async function deletePlaylist() {
+          const playlist = state.playlists.find(p => String(p.id) === state.view);
+          if (!playlist || !confirm('Delete playlist "' + playlist.name + '"?')) return;
+          await apiCall('/api/playlists/' + playlist.id, { method: 'DELETE' });
+          await fetchPlaylists();
+          await switchView('all');
+        }
+
+        async function addToPlaylist(track) {
+          if (state.playlists.length === 0) {
+            alert('Create a playlist first');
+            return;
+          }
+          const choices = state.playlists.map((p, i) => (i + 1) + '. ' + p.name).join('\\n');
+          const picked = state.playlists[Number(prompt('Add "' + track.title + '" to which playlist?\\n' + choices)) - 1];
+          if (!picked) return;
+          const result = await apiCall('/api/playlists/' + picked.id + '/tracks', {
+            method: 'POST',
+            body: JSON.stringify({ trackId: track.id })
+          });
+          if (result.error) {
+            alert(errorMessage(result));
+          } else {
+            els.status.textContent = 'Added to ' + picked.name;
+          }
+          await fetchPlaylists();
+        }
+
+        async function toggleLike(track) {
+          const result = await apiCall('/api/tracks/' + track.id + '/like', {
+            method: track.liked ? 'DELETE' : 'PUT'
+          });
+          if (result.error) {
+            alert(errorMessage(result));
+            return;
+          }
+          state.tracks.forEach(t => {
+            if (t.id === track.id) {
+              t.liked = result.liked;
+              t.like_count = result.like_count;
+            }
+          });
+          if (state.view === 'liked' && !result.liked) {
+            const removed = state.tracks.findIndex(t => t.id === track.id);
+            state.tracks.splice(removed, 1);
+            if (removed < state.current) state.current -= 1;
+          }
+          renderList();
+        }
+
+        async function removeFromPlaylist(track) {
+          await apiCall('/api/playlists/' + state.view + '/tracks/' + track.id, { method: 'DELETE' });
+          await fetchPlaylists();
+          await fetchTracks();
+        }
+
+        async function moveInPlaylist(index, delta) {
+          const target = index + delta;
+          if (target < 0 || target >= state.tracks.length) return;
+          const ids = state.tracks.map(t => t.id);
+          [ids[index], ids[target]] = [ids[target], ids[index]];
+          await apiCall('/api/playlists/' + state.view + '/tracks', {
+            method: 'PUT',
+            body: JSON.stringify({ trackIds: ids })
+          });
+          await fetchTracks();
+        }
+
+        function tracksEndpoint(cursor) {
+          if (state.view === 'artists') {
+            return '/api/artists';
+          }
+          if (isBrowseView()) {
+            const [kind, id] = state.view.split(':');
+            return '/api/' + kind + 's/' + id;
+          }
+          if (state.view === 'history') {
+            return '/api/me/history?limit=50' + (cursor ? '&before=' + cursor : '');
+          }
+          if (state.view === 'liked') {
+            return '/api/me/likes' + (cursor ? '?cursor=' + encodeURIComponent(cursor) : '');
+          }
+          if (isPlaylistView()) {
+            return '/api/playlists/' + state.view + '/tracks';
+          }
+          const params = new URLSearchParams();
+          if (state.query) params.set('q', state.query);
+          if (cursor) params.set('cursor', cursor);
+          const qs = params.toString();
+          return '/api/tracks' + (qs ? '?' + qs : '');
+        }
+
+        async function fetchTracks() {
+          const result = await apiCall(tracksEndpoint());
+          if (isBrowseView()) {
+            // The artist or album is gone, e.g. after its last track was deleted
+            if (!result.artists && !result.artist && !result.album) {
+              return switchView('all');
+            }
+            state.browse = result;
+            renderPlaylistSelect();
+            renderBrowse();
+            // The artist list isn't a list of tracks; keep playing the current one
+            if (result.artists) return;
+          }
+          const tracks = result.tracks || result.history;
+          if (tracks) {
+            state.tracks = tracks;
+            state.next = result.next || null;
+            renderList();
+            if (state.tracks.length > 0) {
+              loadTrack(0);
+            }
+          }
+        }
+
+        async function loadMoreTracks() {
+          if (!state.next || state.loadingMore) return;
+          state.loadingMore = true;
+          try {
+            const result = await apiCall(tracksEndpoint(state.next));
+            const tracks = result.tracks || result.history;
+            if (tracks) {
+              state.tracks = state.tracks.concat(tracks);
+              state.next = result.next || null;
+              renderList();
+            }
+          } finally {
+            state.loadingMore = false;
+          }
+        }
+
+        let searchTimer = null;
+        function onSearchInput() {
+          clearTimeout(searchTimer);
+          searchTimer = setTimeout(() => {
+            state.query = els.search.value.trim();
+            state.current = 0;
+            fetchTracks();
+          }, 250);
+        }
+
+        function renderList() {
+          const scrollTop = els.tracks.scrollTop;
+          els.tracks.innerHTML = '';
+          state.tracks.forEach((t, i) => {
+            const div = document.createElement('div');
+            div.className = 'track' + (i === state.current ? ' active' : '');
+            const number = state.view.startsWith('album:') && t.track_number
+              ? (t.disc_number > 1 ? t.disc_number + '-' : '') + t.track_number + '. '
+              : '';
+            div.innerHTML = \`
+              <div class="meta">
+                <div class="title"></div>
+                <div class="artist"></div>
+              </div>
+              <div class="actions">
+                <div class="badge" title="\${t.play_count || 0} plays">\${t.duration ? fmt(t.duration) : '--:--'}</div>
+              </div>
+            \`;
+            div.querySelector('.title').textContent = number + t.title;
+            // "Artist · Album", linking to their pages
+            const byline = div.querySelector('.artist');
+            byline.appendChild(t.artist_id ? browseLink(t.artist, 'artist:' + t.artist_id) : document.createTextNode(t.artist));
+            if (t.album) {
+              byline.appendChild(document.createTextNode(' · '));
+              byline.appendChild(t.album_id ? browseLink(t.album, 'album:' + t.album_id) : document.createTextNode(t.album));
+            }
+            const actions = div.querySelector('.actions');
+            const addAction = (label, title, handler) => {
+              const btn = document.createElement('button');
+              btn.textContent = label;
+              btn.title = title;
+              btn.onclick = (e) => { e.stopPropagation(); handler(); };
+              actions.appendChild(btn);
+              return btn;
+            };
+            const like = addAction(t.liked ? '\u2665' : '\u2661', (t.like_count || 0) + ' likes', () => toggleLike(t));
+            like.classList.add('like');
+            like.classList.toggle('active', Boolean(t.liked));
+            if (!isPlaylistView()) {
+              addAction('+', 'Add to playlist', () => addToPlaylist(t));
+            } else {
+              addAction('Up', 'Move up', () => moveInPlaylist(i, -1));
+              addAction('Down', 'Move down', () => moveInPlaylist(i, 1));
+              addAction('x', 'Remove from playlist', () => removeFromPlaylist(t));
+            }
+            div.onclick = () => { state.current = i; loadTrack(i, true); };
+            els.tracks.appendChild(div);
+          });
+          if (state.tracks.length === 0 && state.query) {
+            const note = document.createElement('div');
+            note.className = 'list-note';
+            note.textContent = 'No tracks match "' + state.query + '"';
+            els.tracks.appendChild(note);
+          }
+          els.tracks.scrollTop = scrollTop;
+        }
+
+        // <audio> and CSS backgrounds can't send the Bearer header, so the player
+        // loads streams and covers through short-lived signed URLs
+        const media = { ready: Promise.resolve(), retried: false };
+
+        function fetchMediaUrls(trackId) {
+          return apiCall(\`/api/tracks/\${trackId}/stream-url\`);
+        }
+
+        function loadTrack(idx, autoplay) {
+          const t = state.tracks[idx];
+          if (!t) return;
+
+          reportLeave();
+          listen.trackId = t.id;
+          state.current = idx;
+          els.title.textContent = t.title;
+          els.artist.textContent = t.artist;
+          audio.pause();
+          els.duration.textContent = t.duration ? fmt(t.duration) : '0:00';
+          els.seek.value = 0;
+          els.status.textContent = 'Loaded ' + t.title;
+
+          media.retried = false;
+          const ready = fetchMediaUrls(t.id).then(urls => {
+            // Another track was loaded while this request was in flight
+            if (media.ready !== ready) return;
+            if (!urls.url) {
+              els.status.textContent = urls.error || 'Could not load ' + t.title;
+              return;
+            }
+            audio.src = urls.url;
+            audio.currentTime = 0;
+            els.albumArt.style.backgroundImage = urls.coverUrl ? \`url(\${urls.coverUrl})\` : '';
+          });
+          media.ready = ready;
+
+          renderList();
+          if (autoplay) play();
+        }
+
+        function play() {
+          const t = state.tracks[state.current];
+          if (!t) return;
+          media.ready.then(() => audio.play()).catch(() => {});
+          state.playing = true;
+          els.play.textContent = 'Pause';
+          els.status.textContent = 'Playing ' + t.title;
+          if (!listen.started) {
+            listen.started = true;
+            sendEvent('play', t.id, audio.currentTime);
+          }
+        }
+
+        function pause() {
+          audio.pause();
+          state.playing = false;
+          els.play.textContent = 'Play';
+          els.status.textContent = 'Paused';
+        }
+
+        function next() {
+          if (state.shuffle) {
+            state.current = Math.floor(Math.random() * state.tracks.length);
+          } else {
+            state.current = (state.current + 1) % state.tracks.length;
+          }
+          loadTrack(state.current, true);
+        }
+
+        // Leaving a started track early counts as a skip, or a partial listen after 30 seconds
+        function reportLeave(keepalive) {
+          if (listen.trackId && listen.started && !listen.finished) {
+            const position = audio.currentTime || 0;
+            sendEvent(position >= 30 ? 'partial' : 'skip', listen.trackId, position, keepalive);
+          }
+          listen.trackId = null;
+          listen.started = false;
+          listen.finished = false;
+        }
+
+        function onEnded() {
+          if (listen.trackId && !listen.finished) {
+            listen.finished = true;
+            sendEvent('complete', listen.trackId, audio.duration);
+          }
+          next();
+        }
+
+        function prev() {
+          state.current = (state.current - 1 + state.tracks.length) % state.tracks.length;
+          loadTrack(state.current, true);
+        }
+
+        function toggleShuffle() {
+          state.shuffle = !state.shuffle;
+          els.shuffle.classList.toggle('active', state.shuffle);
+        }
+
+        function toggleMute() {
+          audio.muted = !audio.muted;
+          els.mute.classList.toggle('active', audio.muted);
+          els.mute.textContent = audio.muted ? 'Muted' : 'Mute';
+        }
+
+        async function sendEvent(type, trackId, position, keepalive) {
+          await apiCall('/api/event', {
+            method: 'POST',
+            keepalive: Boolean(keepalive),
+            body: JSON.stringify({ type, trackId, position, client: 'web' })
+          });
+        }
+
+        // Re-fetch the current view in place: as many pages as were loaded by scrolling,
+        // keeping the loaded track selected and playing
+        async function refreshTracks() {
+          const view = state.view;
+          const loaded = state.tracks[state.current];
+          const loadedIndex = state.current;
+          const loadedCount = state.tracks.length;
+          const result = await apiCall(tracksEndpoint());
+          if (state.view !== view) return;
+          if (isBrowseView()) {
+            // The artist or album is gone; fall back to the whole library
+            if (!result.artists && !result.artist && !result.album) {
+              state.view = 'all';
+              state.browse = null;
+              renderPlaylistSelect();
+              renderBrowse();
+              return refreshTracks();
+            }
+            state.browse = result;
+            renderBrowse();
+            if (result.artists) return;
+          }
+          let tracks = result.tracks || result.history;
+          if (!tracks) return;
+          let next = result.next || null;
+          while (next && tracks.length < loadedCount) {
+            const more = await apiCall(tracksEndpoint(next));
+            if (state.view !== view) return;
+            const page = more.tracks || more.history;
+            if (!page) break;
+            tracks = tracks.concat(page);
+            next = more.next || null;
+          }
+          state.tracks = tracks;
+          state.next = next;
+          const index = loaded ? tracks.findIndex(t => t.id === loaded.id) : 0;
+          // When the loaded track is gone, Next carries on from where it was, as after a track.deleted
+          state.current = index >= 0 ? index : Math.min(loadedIndex, tracks.length) - 1;
+          renderList();
+        }
+
+        function showToast(message) {
+          els.toast.textContent = message;
+          els.toast.classList.remove('hidden');
+          clearTimeout(showToast.timer);
+          showToast.timer = setTimeout(() => els.toast.classList.add('hidden'), 8000);
+        }
+
+        // New tracks are the newest, so they only have a known place at the top of the unfiltered library
+        function addTrackToList(track) {
+          if (state.view !== 'all' || state.query) return;
+          if (state.tracks.some(t => t.id === track.id)) return;
+          state.tracks.unshift({ ...track, liked: false, like_count: 0, play_count: 0 });
+          if (state.tracks.length === 1) {
+            loadTrack(0);
+            return;
+          }
+          if (state.current >= 0) state.current += 1;
+          renderList();
+        }
+
+        // Edits keep per-user fields such as liked and the playlist position from our own copy
+        function mergeTrack(track) {
+          let changed = false;
+          state.tracks.forEach((t, i) => {
+            if (t.id !== track.id) return;
+            state.tracks[i] = { ...t, ...track };
+            changed = true;
+          });
+          if (!changed) return;
+          const loaded = state.tracks[state.current];
+          if (loaded && loaded.id === track.id) {
+            els.title.textContent = loaded.title;
+            els.artist.textContent = loaded.artist;
+          }
+          renderList();
+        }
+
+        function removeTrackFromList(id) {
+          if (!state.tracks.some(t => t.id === id)) return;
+          const loaded = state.tracks[state.current];
+          const wasLoaded = Boolean(loaded && loaded.id === id);
+          const removedBefore = state.tracks.slice(0, state.current).filter(t => t.id === id).length;
+          state.tracks = state.tracks.filter(t => t.id !== id);
+          // Next carries on with the track that followed the removed one
+          state.current -= removedBefore + (wasLoaded ? 1 : 0);
+          if (wasLoaded) els.status.textContent = loaded.title + ' was removed from the library';
+          renderList();
+        }
+
+        let adminRefreshTimer = null;
+        function handleLiveEvent(type, data) {
+          if (type === 'notification') {
+            showToast(data.message);
+            return;
+          }
+          if (!data.track) return;
+          if (type === 'track.added') addTrackToList(data.track);
+          if (type === 'track.updated') mergeTrack(data.track);
+          if (type === 'track.deleted') removeTrackFromList(data.track.id);
+          // Artist and album pages are grouped by the server, so fetch them again
+          if (isBrowseView()) refreshTracks();
+          if (currentUser && currentUser.is_admin) {
+            clearTimeout(adminRefreshTimer);
+            adminRefreshTimer = setTimeout(() => fetchAdminTracks(), 500);
+          }
+        }
+
+        // One "event: <type>" / "data: <json>" block of the stream
+        function dispatchLiveBlock(block) {
+          let type = 'message';
+          const data = [];
+          block.split('\\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+          });
+          if (data.length === 0) return;
+          let payload;
+          try {
+            payload = JSON.parse(data.join('\\n'));
+          } catch (e) {
+            return;
+          }
+          handleLiveEvent(type, payload);
+        }
+
+        // Live updates from /api/events/stream. EventSource can't send the Bearer header,
+        // so the stream is read with fetch. The server ends it when the access token expires.
+        const live = { controller: null, timer: null, retryMs: 1000, missed: false };
+
+        function setLive(connected) {
+          els.live.classList.toggle('offline', !connected);
+          els.live.title = connected ? 'Receiving live updates' : 'Reconnecting for live updates';
+        }
+
+        function stopLive() {
+          clearTimeout(live.timer);
+          if (live.controller) live.controller.abort();
+          live.controller = null;
+          setLive(false);
+        }
+
+        async function connectLive() {
+          stopLive();
+          const controller = new AbortController();
+          live.controller = controller;
+          let connected = false;
+          let ended = false;
+          try {
+            const response = await authFetch('/api/events/stream', {
+              signal: controller.signal,
+              headers: { Accept: 'text/event-stream' }
+            });
+            // Signed out, or the refresh token is no longer valid
+            if (response.status === 401) {
+              live.controller = null;
+              return;
+            }
+            if (!response.ok || !response.body) throw new Error('HTTP ' + response.status);
+            connected = true;
+            live.retryMs = 1000;
+            setLive(true);
+            // Catch up on whatever changed while we were disconnected
+            if (live.missed) {
+              live.missed = false;
+              refreshTracks();
+              if (currentUser && currentUser.is_admin) fetchAdminTracks();
+            }
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+              const { value, done } = await reader.read();
+              // The server ended the stream on purpose (the access token expired, or the pod is
+              // shutting down); reconnecting right away only risks a moment's worth of events
+              if (done) {
+                ended = true;
+                break;
+              }
+              buffer += value.replace(/\\r/g, '');
+              let end;
+              while ((end = buffer.indexOf('\\n\\n')) >= 0) {
+                dispatchLiveBlock(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+              }
+            }
+          } catch (e) {
+            if (controller.signal.aborted) return;
+          }
+          if (live.controller !== controller) return;
+          setLive(false);
+          if (!ended) live.missed = true;
+          live.timer = setTimeout(connectLive, live.retryMs);
+          live.retryMs = connected ? 1000 : Math.min(live.retryMs * 2, 30000);
+        }
+
+        async function uploadTrack() {
+          const formData = new FormData();
+          const title = document.getElementById('track-title-input').value;
+          const artist = document.getElementById('artist-input').value;
+          const musicFile = document.getElementById('music-file').files[0];
+          const coverFile = document.getElementById('cover-file').files[0];
+          
+          if (!musicFile) {
+            alert('Please choose a music file');
+            return;
+          }
+          
+          formData.append('title', title);
+          formData.append('artist', artist);
+          formData.append('music', musicFile);
+          if (coverFile) {
+            formData.append('cover', coverFile);
+          }
+          
+          try {
+            const response = await authFetch('/api/admin/upload', {
+              method: 'POST',
+              body: formData
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+              alert('Track uploaded successfully!');
+              document.getElementById('upload-form').reset();
+              await fetchTracks();
+              await fetchAdminTracks();
+            } else {
+              alert(errorMessage(result, 'Upload failed'));
+            }
+          } catch (err) {
+            alert('Upload failed: ' + err.message);
+          }
+        }
+
+        async function importArchive() {
+          const archive = document.getElementById('import-file').files[0];
+          if (!archive) {
+            alert('Please choose a ZIP file');
+            return;
+          }
+          const formData = new FormData();
+          formData.append('archive', archive);
+          try {
+            const response = await authFetch('/api/admin/import', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) {
+              alert(errorMessage(result, 'Import failed'));
+              return;
+            }
+            const problems = result.files
+              .filter(f => f.status === 'failed')
+              .map(f => f.file + ': ' + f.reason);
+            alert('Imported ' + result.imported + ', skipped ' + result.skipped + ', failed ' + result.failed
+              + (problems.length ? '\\n\\n' + problems.join('\\n') : ''));
+            document.getElementById('import-form').reset();
+            await fetchTracks();
+            await fetchAdminTracks();
+          } catch (err) {
+            alert('Import failed: ' + err.message);
+          }
+        }
+
+        const admin = {
+          tracks: [],
+          next: null,
+          query: '',
+          editing: null
+        };
+
+        async function fetchAdminTracks(append) {
+          const params = new URLSearchParams({ sort: 'title', limit: '50' });
+          if (admin.query) params.set('q', admin.query);
+          if (append && admin.next) params.set('cursor', admin.next);
+          const result = await apiCall('/api/tracks?' + params.toString());
+          if (!result.tracks) return;
+          admin.tracks = append ? admin.tracks.concat(result.tracks) : result.tracks;
+          admin.next = result.next || null;
+          renderAdminTracks();
+        }
+
+        function renderAdminTracks() {
+          const list = document.getElementById('admin-tracks');
+          list.innerHTML = '';
+          admin.tracks.forEach(t => {
+            const div = document.createElement('div');
+            div.className = 'track' + (admin.editing && admin.editing.id === t.id ? ' active' : '');
+            div.innerHTML = \`
+              <div class="meta">
+                <div class="title"></div>
+                <div class="artist"></div>
+              </div>
+              <div class="actions"></div>
+            \`;
+            // Titles and names come from file tags and archive paths, so never parse them as HTML
+            div.querySelector('.title').textContent = t.title;
+            div.querySelector('.artist').textContent = t.artist + (t.album ? ' · ' + t.album : '');
+            const actions = div.querySelector('.actions');
+            const edit = document.createElement('button');
+            edit.textContent = 'Edit';
+            edit.onclick = () => startEdit(t);
+            const del = document.createElement('button');
+            del.textContent = 'Delete';
+            del.className = 'danger';
+            del.onclick = () => deleteTrack(t);
+            actions.appendChild(edit);
+            actions.appendChild(del);
+            list.appendChild(div);
+          });
+          document.getElementById('admin-more').classList.toggle('hidden', !admin.next);
+        }
+
+        function startEdit(t) {
+          admin.editing = t;
+          const form = document.getElementById('edit-form');
+          form.reset();
+          document.getElementById('edit-heading').textContent = 'Edit: ' + t.title;
+          document.getElementById('edit-title').value = t.title;
+          document.getElementById('edit-artist').value = t.artist;
+          document.getElementById('edit-album').value = t.album || '';
+          document.getElementById('edit-track-number').value = t.track_number || '';
+          document.getElementById('edit-disc-number').value = t.disc_number || '';
+          document.getElementById('edit-year').value = t.year || '';
+          document.getElementById('edit-genre').value = t.genre || '';
+          form.classList.remove('hidden');
+          renderAdminTracks();
+          form.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        function cancelEdit() {
+          admin.editing = null;
+          document.getElementById('edit-form').classList.add('hidden');
+          renderAdminTracks();
+        }
+
+        async function saveEdit() {
+          const t = admin.editing;
+          if (!t) return;
+          const formData = new FormData();
+          formData.append('title', document.getElementById('edit-title').value);
+          formData.append('artist', document.getElementById('edit-artist').value);
+          formData.append('album', document.getElementById('edit-album').value);
+          formData.append('track_number', document.getElementById('edit-track-number').value);
+          formData.append('disc_number', document.getElementById('edit-disc-number').value);
+          formData.append('year', document.getElementById('edit-year').value);
+          formData.append('genre', document.getElementById('edit-genre').value);
+          const coverFile = document.getElementById('edit-cover').files[0];
+          const musicFile = document.getElementById('edit-music').files[0];
+          if (coverFile) {
+            formData.append('cover', coverFile);
+          } else if (document.getElementById('edit-remove-cover').checked) {
+            formData.append('removeCover', 'true');
+          }
+          if (musicFile) formData.append('music', musicFile);
+
+          try {
+            const response = await authFetch('/api/admin/tracks/' + t.id, {
+              method: 'PATCH',
+              body: formData
+            });
+            const result = await response.json();
+            if (!result.success) {
+              alert(errorMessage(result, 'Update failed'));
+              return;
+            }
+            cancelEdit();
+            await fetchAdminTracks();
+            await fetchTracks();
+          } catch (err) {
+            alert('Update failed: ' + err.message);
+          }
+        }
+
+        const adminUsers = { query: '' };
+
+        async function fetchAdminUsers() {
+          const params = adminUsers.query ? '?q=' + encodeURIComponent(adminUsers.query) : '';
+          const result = await apiCall('/api/admin/users' + params);
+          if (!result.users) return;
+          const list = document.getElementById('admin-users');
+          list.innerHTML = '';
+          result.users.forEach(u => {
+            const div = document.createElement('div');
+            div.className = 'track';
+            const meta = document.createElement('div');
+            meta.className = 'meta';
+            const name = document.createElement('div');
+            name.className = 'title';
+            name.textContent = u.username + (u.is_admin ? ' (admin)' : '') + (u.disabled ? ' (disabled)' : '');
+            const detail = document.createElement('div');
+            detail.className = 'artist';
+            detail.textContent = 'joined ' + u.created_at + (u.last_active_at ? ' · last active ' + u.last_active_at : '');
+            meta.appendChild(name);
+            meta.appendChild(detail);
+            div.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'actions';
+            const addAction = (label, handler, danger) => {
+              const btn = document.createElement('button');
+              btn.textContent = label;
+              if (danger) btn.className = 'danger';
+              btn.onclick = handler;
+              actions.appendChild(btn);
+            };
+            if (u.id !== currentUser.id) {
+              addAction(u.is_admin ? 'Demote' : 'Promote', () => updateUser(u, { is_admin: !u.is_admin }));
+              addAction(u.disabled ? 'Enable' : 'Disable', () => updateUser(u, { disabled: !u.disabled }));
+            }
+            addAction('Reset password', () => resetUserPassword(u));
+            if (u.id !== currentUser.id) {
+              addAction('Delete', () => deleteUser(u), true);
+            }
+            div.appendChild(actions);
+            list.appendChild(div);
+          });
+        }
+
+        async function updateUser(u, changes) {
+          const result = await apiCall('/api/admin/users/' + u.id, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+          });
+          if (result.error) alert(errorMessage(result));
+          await fetchAdminUsers();
+        }
+
+        async function resetUserPassword(u) {
+          const password = prompt('New password for ' + u.username + ' (leave blank to generate one)');
+          if (password === null) return;
+          const result = await apiCall('/api/admin/users/' + u.id + '/reset-password', {
+            method: 'POST',
+            body: JSON.stringify(password ? { password } : {})
+          });
+          if (result.error) {
+            alert(errorMessage(result));
+          } else if (result.password) {
+            prompt('Temporary password for ' + u.username + ' (their sessions were signed out):', result.password);
+          } else {
+            alert('Password updated. ' + u.username + ' has been signed out everywhere.');
+          }
+          if (u.id === currentUser.id && !result.error) logout();
+        }
+
+        async function deleteUser(u) {
+          if (!confirm('Delete user "' + u.username + '" with their playlists, likes and history?')) return;
+          const result = await apiCall('/api/admin/users/' + u.id, { method: 'DELETE' });
+          if (result.error) alert(errorMessage(result));
+          await fetchAdminUsers();
+        }
+
+        async function fetchAdminSettings() {
+          const result = await apiCall('/api/admin/settings');
+          document.getElementById('registration-open').checked = Boolean(result.registrationOpen);
+        }
+
+        async function setRegistrationOpen(open) {
+          const result = await apiCall('/api/admin/settings', {
+            method: 'PUT',
+            body: JSON.stringify({ registrationOpen: open })
+          });
+          if (result.error) alert(errorMessage(result));
+          await fetchAdminSettings();
+        }
+
+        async function deleteTrack(t) {
+          if (!confirm('Delete "' + t.title + '"? This removes the audio and cover files.')) return;
+          const result = await apiCall('/api/admin/tracks/' + t.id, { method: 'DELETE' });
+          if (!result.success) {
+            alert(errorMessage(result, 'Delete failed'));
+            return;
+          }
+          if (admin.editing && admin.editing.id === t.id) cancelEdit();
+          await fetchAdminTracks();
+          await fetchTracks();
+        }
+
+        audio.addEventListener('ended', onEnded);
+        // A signed URL can expire mid-track (seeking makes a new request); get a fresh one and resume
+        audio.addEventListener('error', async () => {
+          const t = state.tracks[state.current];
+          if (!t || media.retried || !audio.src) return;
+          media.retried = true;
+          const position = audio.currentTime;
+          const urls = await fetchMediaUrls(t.id);
+          if (!urls.url || state.tracks[state.current] !== t) return;
+          audio.src = urls.url;
+          audio.currentTime = position;
+          if (state.playing) audio.play().catch(() => {});
+        });
+        audio.addEventListener('canplay', () => { media.retried = false; });
+        window.addEventListener('pagehide', () => {
+          if (state.playing) reportLeave(true);
+        });
+        audio.addEventListener('timeupdate', () => {
+          if (audio.duration) {
+            const pct = (audio.currentTime / audio.duration) * 100;
+            els.seek.value = pct;
+            els.current.textContent = fmt(audio.currentTime);
+            els.duration.textContent = fmt(audio.duration);
+          }
+        });
+
+        els.play.onclick = () => (state.playing ? pause() : play());
+        els.next.onclick = next;
+        els.prev.onclick = prev;
+        els.shuffle.onclick = toggleShuffle;
+        els.mute.onclick = toggleMute;
+        els.seek.oninput = (e) => {
+          if (!audio.duration) return;
+          const pct = Number(e.target.value) / 100;
+          audio.currentTime = pct * audio.duration;
+        };
+
+        document.getElementById('login-btn').onclick = login;
+        document.getElementById('register-btn').onclick = showRegisterForm;
+        document.getElementById('register-submit').onclick = register;
+        document.getElementById('back-to-login').onclick = showLoginForm;
+        document.getElementById('logout').onclick = logout;
+        document.getElementById('sessions-btn').onclick = toggleSessions;
+        document.getElementById('sessions-revoke-others').onclick = revokeOtherSessions;
+        els.search.oninput = onSearchInput;
+        els.tracks.onscroll = () => {
+          if (els.tracks.scrollTop + els.tracks.clientHeight >= els.tracks.scrollHeight - 80) {
+            loadMoreTracks();
+          }
+        };
+        els.playlistSelect.onchange = (e) => switchView(e.target.value);
+        document.getElementById('playlist-new').onclick = createPlaylist;
+        els.playlistRename.onclick = renamePlaylist;
+        els.playlistDelete.onclick = deletePlaylist;
+        document.getElementById('upload-form').onsubmit = (e) => {
+          e.preventDefault();
+          uploadTrack();
+        };
+        document.getElementById('import-form').onsubmit = (e) => {
+          e.preventDefault();
+          importArchive();
+        };
+        document.getElementById('edit-form').onsubmit = (e) => {
+          e.preventDefault();
+          saveEdit();
+        };
+        document.getElementById('edit-cancel').onclick = cancelEdit;
+        document.getElementById('admin-more').onclick = () => fetchAdminTracks(true);
+        document.getElementById('registration-open').onchange = (e) => setRegistrationOpen(e.target.checked);
+        let adminUserSearchTimer = null;
+        document.getElementById('admin-user-search').oninput = (e) => {
+          clearTimeout(adminUserSearchTimer);
+          adminUserSearchTimer = setTimeout(() => {
+            adminUsers.query = e.target.value.trim();
+            fetchAdminUsers();
+          }, 250);
+        };
+        let adminSearchTimer = null;
+        document.getElementById('admin-search').oninput = (e) => {
+          clearTimeout(adminSearchTimer);
+          adminSearchTimer = setTimeout(() => {
+            admin.query = e.target.value.trim();
+            fetchAdminTracks();
+          }, 250);
+        };
+
+        // Handle enter key on login forms
+        document.getElementById('login-password').onkeypress = (e) => {
+          if (e.key === 'Enter') login();
+        };
+        document.getElementById('register-password').onkeypress = (e) => {
+          if (e.key === 'Enter') register();
+        };
+
+        // Hide registration when an admin has closed it
+        fetch('/api/auth/config')
+          .then(response => response.json())
+          .then(config => {
+            document.getElementById('register-btn').classList.toggle('hidden', config.registrationOpen === false);
+          })
+          .catch(() => {});
+
+        // Initialize app
+        if (token || refreshToken) {
+          apiCall('/api/auth/verify').then(result => {
+            if (result.user) {
+              currentUser = result.user;
+              showMainApp();
+            } else {
+              logout();
+            }
+          });
+        } else {
+          showLoginForm();
+        }
+      </script>
+    </body>
+  </html>
+  `;
+
+  return html;
+}
+
+// A request body we refuse before reading all of it. The unread rest of the body makes the
+// connection unusable for another request, so it is closed after the response.
+function bodyError(status, message) {
+  return Object.assign(new Error(message), { status, headers: { Connection: 'close' } });
+}
+
+// Read and parse a JSON request body once; later calls get the same result. An empty body is {}.
+// Rejects with a status of 415 for any other Content-Type, 413 past MAX_JSON_BODY_BYTES, 408 when
+// the body takes longer than BODY_TIMEOUT_MS to arrive and 400 for malformed JSON.
+function parseJsonBody(req) {
+  if (!req.jsonBody) {
+    req.jsonBody = readJsonBody(req);
+  }
+  return req.jsonBody;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = Number(req.headers['content-length'] || 0);
+    if (!declaredLength && !req.headers['transfer-encoding']) {
+      return resolve({});
+    }
+
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json' && !/^application\/[\w.-]+\+json$/.test(type)) {
+      return reject(bodyError(415, 'Content-Type must be application/json'));
+    }
+    const tooLarge = `Request body must be at most ${maxJsonBodyBytes} bytes`;
+    if (declaredLength > maxJsonBodyBytes) {
+      return reject(bodyError(413, tooLarge));
+    }
+
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxJsonBodyBytes) {
+        return fail(bodyError(413, tooLarge));
+      }
+      chunks.push(chunk);
+    };
+    const onEnd = () => {
+      clearTimeout(timer);
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(Object.assign(new Error(`Request body is not valid JSON: ${err.message}`), { status: 400 }));
+      }
+    };
+    const fail = (err) => {
+      clearTimeout(timer);
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      req.pause();
+      reject(err);
+    };
+    const timer = setTimeout(() => {
+      fail(bodyError(408, `Request body was not received within ${bodyTimeoutMs} ms`));
+    }, bodyTimeoutMs);
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', fail);
+  });
+}
+
+// Run a multer handler over the request. Rejects with a status of 415 unless the request is
+// multipart/form-data, and 413 when a file or field is over the upload limits.
+function parseMultipart(req, uploadHandler) {
+  if (!String(req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data')) {
+    return Promise.reject(bodyError(415, 'Content-Type must be multipart/form-data'));
+  }
+  return new Promise((resolve, reject) => {
+    uploadHandler(req, {}, (err) => {
+      req.multipartRejected = Boolean(err);
+      if (err instanceof multer.MulterError && err.code !== 'LIMIT_UNEXPECTED_FILE') {
+        const field = err.field ? ` (${err.field})` : '';
+        reject(bodyError(413, `${err.message}${field}`));
+      } else if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+const playEventTypes = ['play', 'skip', 'partial', 'complete'];
+
+// OpenAPI 3.1 description of the HTTP API, served at /api/openapi.json and rendered at
+// /api/docs. Parameter and request body schemas are also what validateRequest checks
+// incoming requests against, using the JSON Schema keywords validateSchema supports.
+const idParam = (name, description, schema = { type: 'string' }) =>
+  ({ name, in: 'path', required: true, description, schema });
+const trackIdParam = idParam('id', 'Track id', { type: 'string', minLength: 1 });
+const integerIdParam = (description) => idParam('id', description, { type: 'integer', minimum: 1 });
+const limitParam = {
+  name: 'limit', in: 'query', description: 'Page size', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+};
+const cursorParam = {
+  name: 'cursor', in: 'query', description: 'The `next` value from the previous page', schema: { type: 'string' }
+};
+const signedUrlParams = [
+  { name: 'exp', in: 'query', description: 'Expiry (Unix seconds) of a signed URL from `/api/tracks/{id}/stream-url`', schema: { type: 'integer' } },
+  { name: 'sid', in: 'query', description: 'Session a signed URL was issued to; it stops working when the session is revoked', schema: { type: 'string' } },
+  { name: 'sig', in: 'query', description: 'Signature of a signed URL', schema: { type: 'string' } }
+];
+
+const jsonBody = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = description => jsonResponse(description, ref('Error'));
+const success = jsonResponse('Done', ref('Success'));
+const invalid = jsonResponse('Invalid request; `fields` lists the problems', ref('ValidationError'));
+const unauthorized = errorResponse('Missing, expired or revoked access token');
+const forbidden = errorResponse('Admin access required');
+const notFound = errorResponse('Not found');
+const adminOnly = { 401: unauthorized, 403: forbidden };
+
+const trackEditSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    artist: { type: 'string', minLength: 1 },
+    album: { type: ['string', 'null'] },
+    genre: { type: ['string', 'null'] },
+    track_number: { type: ['integer', 'string', 'null'], description: 'Integer, or an empty string to clear it' },
+    disc_number: { type: ['integer', 'string', 'null'], description: 'Integer, or an empty string to clear it' },
+    year: { type: ['integer', 'string', 'null'], description: 'Integer, or an empty string to clear it' },
+    removeCover: { type: ['boolean', 'string'], description: '`true` removes the current cover' }
+  }
+};
+const playlistNameSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string', minLength: 1, maxLength: 100 } }
+};
+const adminUserUpdateSchema = {
+  type: 'object',
+  properties: { is_admin: { type: 'boolean' }, disabled: { type: 'boolean' } }
+};
+const settingsSchema = {
+  type: 'object',
+  required: ['registrationOpen'],
+  properties: { registrationOpen: { type: 'boolean' } }
+};
+const credentialsSchema = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: { username: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } }
+};
+
+const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Music Streaming Platform API',
+    version: release,
+    description: 'Streaming, playlists, listening history and admin APIs. Authenticated routes take '
+      + '`Authorization: Bearer <token>` with the access token from `/api/auth/login`.'
+  },
+  tags: [
+    { name: 'Auth' }, { name: 'Tracks' }, { name: 'Artists & Albums' }, { name: 'Me' }, { name: 'Playlists' },
+    { name: 'Admin' }, { name: 'Operations' }
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      signedUrl: { type: 'apiKey', in: 'query', name: 'sig', description: 'Signed URL from `/api/tracks/{id}/stream-url`' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['error', 'fields'],
+        properties: {
+          error: { type: 'string', examples: ['Invalid request'] },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string', examples: ['password'] },
+                message: { type: 'string', examples: ['is required'] }
+              }
+            }
+          }
+        }
+      },
+      Success: { type: 'object', properties: { success: { type: 'boolean' } } },
+      Tokens: {
+        type: 'object',
+        properties: {
+          token: { type: 'string', description: 'Access token' },
+          refreshToken: { type: 'string' },
+          expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' },
+          user: ref('User')
+        }
+      },
+      User: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, username: { type: 'string' }, is_admin: { type: 'boolean' } }
+      },
+      AdminUser: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          username: { type: 'string' },
+          is_admin: { type: 'boolean' },
+          disabled: { type: 'boolean' },
+          failed_logins: { type: 'integer' },
+          locked_until: { type: ['string', 'null'] },
+          created_at: { type: 'string' },
+          last_active_at: { type: ['string', 'null'] }
+        }
+      },
+      Track: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          artist: { type: 'string' },
+          album: { type: ['string', 'null'] },
+          artist_id: { type: ['integer', 'null'] },
+          album_id: { type: ['integer', 'null'] },
+          track_number: { type: ['integer', 'null'] },
+          disc_number: { type: ['integer', 'null'] },
+          year: { type: ['integer', 'null'] },
+          genre: { type: ['string', 'null'] },
+          duration: { type: 'integer', description: 'Seconds' },
+          bitrate: { type: ['integer', 'null'] },
+          filename: { type: 'string' },
+          mime_type: { type: 'string' },
+          file_size: { type: ['integer', 'null'] },
+          cover_filename: { type: ['string', 'null'] },
+          play_count: { type: 'integer' },
+          like_count: { type: 'integer' },
+          liked: { type: 'boolean' },
+          created_at: { type: 'string' }
+        }
+      },
+      HistoryEntry: {
+        allOf: [ref('Track'), {
+          type: 'object',
+          properties: {
+            event_id: { type: 'integer' },
+            type: { type: 'string', enum: playEventTypes },
+            position: { type: ['number', 'null'] },
+            played_at: { type: 'string' }
+          }
+        }]
+      },
+      Artist: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          album_count: { type: 'integer' },
+          track_count: { type: 'integer' }
+        }
+      },
+      Album: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          year: { type: ['integer', 'null'] },
+          artist_id: { type: 'integer' },
+          artist: { type: 'string', description: 'Artist name' },
+          track_count: { type: 'integer' },
+          duration: { type: 'integer', description: 'Seconds' }
+        }
+      },
+      TrackPage: {
+        type: 'object',
+        properties: {
+          tracks: { type: 'array', items: ref('Track') },
+          next: { type: ['string', 'null'], description: 'Cursor for the next page' }
+        }
+      },
+      Playlist: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          position: { type: 'integer' },
+          track_count: { type: 'integer' },
+          created_at: { type: 'string' },
+          updated_at: { type: 'string' }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          user_agent: { type: ['string', 'null'] },
+          ip: { type: ['string', 'null'] },
+          created_at: { type: 'string' },
+          last_used_at: { type: 'string' },
+          expires_at: { type: 'string' },
+          current: { type: 'boolean' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ready', 'degraded', 'not ready'] },
+          checks: { type: 'object', additionalProperties: { type: 'object' } }
+        }
+      },
+      ImportReport: {
+        type: 'object',
+        properties: {
+          imported: { type: 'integer' },
+          skipped: { type: 'integer' },
+          failed: { type: 'integer' },
+          files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['file', 'status'],
+              properties: {
+                file: { type: 'string', description: 'Path inside the archive or directory' },
+                status: { type: 'string', enum: ['imported', 'skipped', 'failed'] },
+                reason: { type: 'string' },
+                trackId: { type: 'string', description: 'The new track, or the existing one for duplicates' },
+                title: { type: 'string' },
+                artist: { type: 'string' },
+                album: { type: ['string', 'null'] }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/api/auth/login': {
+      post: {
+        tags: ['Auth'], summary: 'Sign in', security: [],
+        requestBody: jsonBody(credentialsSchema),
+        responses: {
+          200: jsonResponse('Signed in', ref('Tokens')), 400: invalid,
+          401: errorResponse('Invalid credentials'), 403: errorResponse('Account disabled'),
+          429: errorResponse('Too many failed attempts; see Retry-After')
+        }
+      }
+    },
+    '/api/auth/register': {
+      post: {
+        tags: ['Auth'], summary: 'Create an account', security: [],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['username', 'password'],
+          properties: {
+            username: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{2,31}$' },
+            password: { type: 'string', minLength: 8, description: 'At most 72 bytes' }
+          }
+        }),
+        responses: {
+          200: success, 400: invalid, 403: errorResponse('Registration is closed'),
+          429: errorResponse('Too many registrations from this address')
+        }
+      }
+    },
+    '/api/auth/config': {
+      get: {
+        tags: ['Auth'], summary: 'Public client settings', security: [],
+        responses: {
+          200: jsonResponse('Settings', { type: 'object', properties: { registrationOpen: { type: 'boolean' } } })
+        }
+      }
+    },
+    '/api/auth/verify': {
+      get: {
+        tags: ['Auth'], summary: 'Check the access token',
+        responses: {
+          200: jsonResponse('Token is valid', { type: 'object', properties: { user: ref('User') } }),
+          401: unauthorized
+        }
+      }
+    },
+    '/api/auth/refresh': {
+      post: {
+        tags: ['Auth'], summary: 'Rotate a refresh token for new tokens', security: [],
+        requestBody: jsonBody({
+          type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string', minLength: 1 } }
+        }),
+        responses: { 200: jsonResponse('New tokens', ref('Tokens')), 400: invalid, 401: errorResponse('Invalid refresh token') }
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        tags: ['Auth'], summary: 'Revoke the current session', security: [{ bearerAuth: [] }, {}],
+        requestBody: jsonBody({ type: 'object', properties: { refreshToken: { type: 'string' } } }, false),
+        responses: { 200: success, 400: invalid }
+      }
+    },
+    '/api/tracks': {
+      get: {
+        tags: ['Tracks'], summary: 'List and search tracks',
+        parameters: [
+          { name: 'q', in: 'query', description: 'Full-text search over title and artist', schema: { type: 'string' } },
+          { name: 'artist', in: 'query', description: 'Exact artist, case-insensitive', schema: { type: 'string' } },
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: ['relevance', 'created_at', 'title', 'artist', 'duration'] } },
+          { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+          limitParam,
+          cursorParam
+        ],
+        responses: { 200: jsonResponse('A page of tracks, with an ETag', ref('TrackPage')), 304: { description: 'Not modified' }, 400: invalid, 401: unauthorized }
+      }
+    },
+    '/api/artists': {
+      get: {
+        tags: ['Artists & Albums'], summary: 'List artists',
+        parameters: [{ name: 'q', in: 'query', description: 'Filter by name', schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse('Artists by name', { type: 'object', properties: { artists: { type: 'array', items: ref('Artist') } } }),
+          401: unauthorized
+        }
+      }
+    },
+    '/api/artists/{id}': {
+      parameters: [integerIdParam('Artist id')],
+      get: {
+        tags: ['Artists & Albums'], summary: 'An artist with their albums and tracks',
+        description: 'Albums are ordered by year. Tracks are in album, disc and track order, with tracks not on an album last.',
+        responses: {
+          200: jsonResponse('The artist', {
+            type: 'object',
+            properties: {
+              artist: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+              albums: { type: 'array', items: ref('Album') },
+              tracks: { type: 'array', items: ref('Track') }
+            }
+          }),
+          400: invalid, 401: unauthorized, 404: notFound
+        }
+      }
+    },
+    '/api/albums/{id}': {
+      parameters: [integerIdParam('Album id')],
+      get: {
+        tags: ['Artists & Albums'], summary: 'An album with its tracks in disc and track order',
+        responses: {
+          200: jsonResponse('The album', {
+            type: 'object',
+            properties: { album: ref('Album'), tracks: { type: 'array', items: ref('Track') } }
+          }),
+          400: invalid, 401: unauthorized, 404: notFound
+        }
+      }
+    },
+    '/api/tracks/{id}/like': {
+      parameters: [trackIdParam],
+      put: {
+        tags: ['Tracks'], summary: 'Like a track',
+        responses: {
+          200: jsonResponse('Liked', { type: 'object', properties: { liked: { type: 'boolean' }, like_count: { type: 'integer' } } }),
+          401: unauthorized, 404: notFound
+        }
+      },
+      delete: {
+        tags: ['Tracks'], summary: 'Remove a like',
+        responses: {
+          200: jsonResponse('Unliked', { type: 'object', properties: { liked: { type: 'boolean' }, like_count: { type: 'integer' } } }),
+          401: unauthorized, 404: notFound
+        }
+      }
+    },
+    '/api/tracks/{id}/stream-url': {
+      parameters: [trackIdParam],
+      get: {
+        tags: ['Tracks'], summary: 'Signed, short-lived stream and cover URLs',
+        responses: {
+          200: jsonResponse('Signed URLs', {
+            type: 'object',
+            properties: {
+              url: { type: 'string' }, coverUrl: { type: ['string', 'null'] }, expiresIn: { type: 'integer' }
+            }
+          }),
+          401: unauthorized, 404: notFound
+        }
+      }
+    },
+    '/api/stream/{id}': {
+      parameters: [trackIdParam, ...signedUrlParams],
+      get: {
+        tags: ['Tracks'], summary: 'Stream the audio file (supports Range and conditional requests)',
+        security: [{ bearerAuth: [] }, { signedUrl: [] }],
+        responses: {
+          200: { description: 'The whole file', content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } } },
+          206: { description: 'The requested range(s)' },
+          304: { description: 'Not modified' },
+          401: unauthorized, 403: errorResponse('Invalid or expired signed URL, or its session was revoked'), 404: notFound,
+          416: { description: 'Range not satisfiable' }
+        }
+      }
+    },
+    '/api/events/stream': {
+      get: {
+        tags: ['Tracks'], summary: 'Live events (Server-Sent Events)',
+        description: 'A `text/event-stream` of `track.added`, `track.updated` (data `{ track, time }`), '
+          + '`track.deleted` (data `{ track: { id }, time }`) and `notification` (data `{ message, time }`, '
+          + 'sent only to its user). The stream ends when the access token expires; reconnect with a fresh one.',
+        responses: {
+          200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          401: unauthorized
+        }
+      }
+    },
+    '/api/cover/{id}': {
+      parameters: [trackIdParam, ...signedUrlParams],
+      get: {
+        tags: ['Tracks'], summary: 'Cover image',
+        security: [{ bearerAuth: [] }, { signedUrl: [] }],
+        responses: {
+          200: { description: 'The image', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } },
+          304: { description: 'Not modified' },
+          401: unauthorized, 403: errorResponse('Invalid or expired signed URL, or its session was revoked'), 404: notFound
+        }
+      }
+    },
+    '/api/event': {
+      post: {
+        tags: ['Me'], summary: 'Record a listening event',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['type', 'trackId'],
+          properties: {
+            type: { type: 'string', enum: playEventTypes },
+            trackId: { type: 'string', minLength: 1 },
+            position: { type: ['number', 'null'], minimum: 0, description: 'Seconds reached' },
+            client: { type: 'string', description: 'Client name, stored with the user agent' }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Recorded', { type: 'object', properties: { ok: { type: 'boolean' } } }),
+          400: invalid, 401: unauthorized, 404: notFound
+        }
+      }
+    },
+    '/api/me/history': {
+      get: {
+        tags: ['Me'], summary: 'Your recently played tracks',
+        parameters: [
+          { name: 'type', in: 'query', schema: { type: 'string', enum: [...playEventTypes, 'all'], default: 'play' } },
+          limitParam,
+          { name: 'before', in: 'query', description: 'The `next` event id from the previous page', schema: { type: 'integer', minimum: 1 } }
+        ],
+        responses: {
+          200: jsonResponse('History, newest first', {
+            type: 'object', properties: { history: { type: 'array', items: ref('HistoryEntry') }, next: { type: ['integer', 'null'] } }
+          }),
+          400: invalid, 401: unauthorized
+        }
+      }
+    },
+    '/api/me/likes': {
+      get: {
+        tags: ['Me'], summary: 'Your liked songs',
+        parameters: [limitParam, cursorParam],
+        responses: { 200: jsonResponse('Liked tracks', ref('TrackPage')), 400: invalid, 401: unauthorized }
+      }
+    },
+    '/api/me/sessions': {
+      get: {
+        tags: ['Me'], summary: 'Your signed-in sessions',
+        responses: {
+          200: jsonResponse('Sessions', { type: 'object', properties: { sessions: { type: 'array', items: ref('Session') } } }),
+          401: unauthorized
+        }
+      },
+      delete: {
+        tags: ['Me'], summary: 'Sign out every other session',
+        responses: {
+          200: jsonResponse('Signed out', { type: 'object', properties: { success: { type: 'boolean' }, revoked: { type: 'integer' } } }),
+          401: unauthorized
+        }
+      }
+    },
+    '/api/me/sessions/{id}': {
+      parameters: [idParam('id', 'Session id')],
+      delete: {
+        tags: ['Me'], summary: 'Sign out one session',
+        responses: { 200: success, 401: unauthorized, 404: notFound }
+      }
+    },
+    '/api/playlists': {
+      get: {
+        tags: ['Playlists'], summary: 'Your playlists',
+        responses: {
+          200: jsonResponse('Playlists', { type: 'object', properties: { playlists: { type: 'array', items: ref('Playlist') } } }),
+          401: unauthorized
+        }
+      },
+      post: {
+        tags: ['Playlists'], summary: 'Create a playlist',
+        requestBody: jsonBody(playlistNameSchema),
+        responses: {
+          201: jsonResponse('Created', { type: 'object', properties: { playlist: ref('Playlist') } }),
+          400: invalid, 401: unauthorized
+        }
+      },
+      put: {
+        tags: ['Playlists'], summary: 'Reorder your playlists',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['playlistIds'],
+          properties: { playlistIds: { type: 'array', items: { type: 'integer' }, description: 'Every playlist id, in the new order' } }
+        }),
+        responses: { 200: success, 400: invalid, 401: unauthorized }
+      }
+    },
+    '/api/playlists/{id}': {
+      parameters: [integerIdParam('Playlist id')],
+      get: {
+        tags: ['Playlists'], summary: 'A playlist with its tracks',
+        responses: {
+          200: jsonResponse('Playlist', {
+            type: 'object', properties: { playlist: ref('Playlist'), tracks: { type: 'array', items: ref('Track') } }
+          }),
+          401: unauthorized, 404: notFound
+        }
+      },
+      put: {
+        tags: ['Playlists'], summary: 'Rename a playlist',
+        requestBody: jsonBody(playlistNameSchema),
+        responses: { 200: jsonResponse('Renamed', { type: 'object', properties: { playlist: ref('Playlist') } }), 400: invalid, 401: unauthorized, 404: notFound }
+      },
+      patch: {
+        tags: ['Playlists'], summary: 'Rename a playlist',
+        requestBody: jsonBody(playlistNameSchema),
+        responses: { 200: jsonResponse('Renamed', { type: 'object', properties: { playlist: ref('Playlist') } }), 400: invalid, 401: unauthorized, 404: notFound }
+      },
+      delete: {
+        tags: ['Playlists'], summary: 'Delete a playlist',
+        responses: { 200: success, 401: unauthorized, 404: notFound }
+      }
+    },
+    '/api/playlists/{id}/tracks': {
+      parameters: [integerIdParam('Playlist id')],
+      get: {
+        tags: ['Playlists'], summary: 'Tracks in a playlist',
+        responses: {
+          200: jsonResponse('Playlist', {
+            type: 'object', properties: { playlist: ref('Playlist'), tracks: { type: 'array', items: ref('Track') } }
+          }),
+          401: unauthorized, 404: notFound
+        }
+      },
+      post: {
+        tags: ['Playlists'], summary: 'Add a track',
+        requestBody: jsonBody({ type: 'object', required: ['trackId'], properties: { trackId: { type: 'string', minLength: 1 } } }),
+        responses: { 201: success, 400: invalid, 401: unauthorized, 404: notFound, 409: errorResponse('Track already in playlist') }
+      },
+      put: {
+        tags: ['Playlists'], summary: 'Reorder tracks',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['trackIds'],
+          properties: { trackIds: { type: 'array', items: { type: 'string' }, description: 'Every track id, in the new order' } }
+        }),
+        responses: { 200: success, 400: invalid, 401: unauthorized, 404: notFound }
+      }
+    },
+    '/api/playlists/{id}/tracks/{trackId}': {
+      parameters: [integerIdParam('Playlist id'), idParam('trackId', 'Track id')],
+      delete: {
+        tags: ['Playlists'], summary: 'Remove a track',
+        responses: { 200: success, 401: unauthorized, 404: notFound }
+      }
+    },
+    '/api/admin/upload': {
+      post: {
+        tags: ['Admin'], summary: 'Upload a track',
+        description: 'Title and artist fall back to the file\'s tags. Files are identified by their contents.',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['music'],
+                properties: {
+                  music: { type: 'string', format: 'binary', description: 'MP3, AAC, M4A, FLAC, Ogg, WAV or WebM' },
+                  cover: { type: 'string', format: 'binary', description: 'JPEG, PNG, GIF or WebP' },
+                  title: { type: 'string' },
+                  artist: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Uploaded', { type: 'object', properties: { success: { type: 'boolean' }, trackId: { type: 'string' } } }),
+          400: errorResponse('Missing fields or a bad upload'), ...adminOnly,
+          415: errorResponse('File contents are not an accepted format'), 502: errorResponse('Storage unavailable')
+        }
+      }
+    },
+    '/api/admin/import': {
+      post: {
+        tags: ['Admin'], summary: 'Import a ZIP of tracks',
+        description: 'Imports every audio file in the archive. Title, artist and album come from tags, or from '
+          + '`Artist - Title` file names; images become the cover for tracks in the same folder without embedded art. '
+          + 'Tracks already in the library are skipped. Problems with single files are reported per file, not as errors.',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['archive'],
+                properties: { archive: { type: 'string', format: 'binary', description: 'ZIP of audio files and cover images' } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('What happened to each file', ref('ImportReport')),
+          400: errorResponse('Missing archive'), ...adminOnly,
+          415: errorResponse('Not a ZIP archive')
+        }
+      }
+    },
+    '/api/admin/tracks/{id}': {
+      parameters: [trackIdParam],
+      put: {
+        tags: ['Admin'], summary: 'Edit a track',
+        description: 'Send JSON for metadata, or multipart/form-data with the same fields plus `music` and `cover` files.',
+        requestBody: { required: true, content: { 'application/json': { schema: trackEditSchema }, 'multipart/form-data': { schema: trackEditSchema } } },
+        responses: {
+          200: jsonResponse('Updated', { type: 'object', properties: { success: { type: 'boolean' }, track: ref('Track') } }),
+          400: invalid, ...adminOnly, 404: notFound, 415: errorResponse('File contents are not an accepted format')
+        }
+      },
+      patch: {
+        tags: ['Admin'], summary: 'Edit a track',
+        requestBody: { required: true, content: { 'application/json': { schema: trackEditSchema }, 'multipart/form-data': { schema: trackEditSchema } } },
+        responses: {
+          200: jsonResponse('Updated', { type: 'object', properties: { success: { type: 'boolean' }, track: ref('Track') } }),
+          400: invalid, ...adminOnly, 404: notFound, 415: errorResponse('File contents are not an accepted format')
+        }
+      },
+      delete: {
+        tags: ['Admin'], summary: 'Delete a track and its files',
+        responses: { 200: success, ...adminOnly, 404: notFound }
+      }
+    },
+    '/api/admin/users': {
+      get: {
+        tags: ['Admin'], summary: 'List users',
+        parameters: [{ name: 'q', in: 'query', description: 'Filter by username', schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse('Users', { type: 'object', properties: { users: { type: 'array', items: ref('AdminUser') } } }),
+          400: invalid, ...adminOnly
+        }
+      }
+    },
+    '/api/admin/users/{id}': {
+      parameters: [integerIdParam('User id')],
+      get: {
+        tags: ['Admin'], summary: 'Get a user',
+        responses: { 200: jsonResponse('User', { type: 'object', properties: { user: ref('AdminUser') } }), ...adminOnly, 404: notFound }
+      },
+      put: {
+        tags: ['Admin'], summary: 'Promote, demote, disable or enable a user',
+        requestBody: jsonBody(adminUserUpdateSchema),
+        responses: { 200: jsonResponse('Updated', { type: 'object', properties: { user: ref('AdminUser') } }), 400: invalid, ...adminOnly, 404: notFound }
+      },
+      patch: {
+        tags: ['Admin'], summary: 'Promote, demote, disable or enable a user',
+        requestBody: jsonBody(adminUserUpdateSchema),
+        responses: { 200: jsonResponse('Updated', { type: 'object', properties: { user: ref('AdminUser') } }), 400: invalid, ...adminOnly, 404: notFound }
+      },
+      delete: {
+        tags: ['Admin'], summary: 'Delete a user with their playlists, likes and history',
+        responses: { 200: success, 400: errorResponse('Cannot delete yourself or the last admin'), ...adminOnly, 404: notFound }
+      }
+    },
+    '/api/admin/users/{id}/reset-password': {
+      parameters: [integerIdParam('User id')],
+      post: {
+        tags: ['Admin'], summary: 'Reset a password and sign the user out',
+        requestBody: jsonBody({
+          type: 'object', properties: { password: { type: 'string', description: 'Omit to generate one' } }
+        }, false),
+        responses: {
+          200: jsonResponse('Reset', { type: 'object', properties: { success: { type: 'boolean' }, password: { type: 'string' } } }),
+          400: invalid, ...adminOnly, 404: notFound
+        }
+      }
+    },
+    '/api/admin/settings': {
+      get: {
+        tags: ['Admin'], summary: 'Server settings',
+        responses: { 200: jsonResponse('Settings', settingsSchema), ...adminOnly }
+      },
+      put: {
+        tags: ['Admin'], summary: 'Update server settings',
+        requestBody: jsonBody(settingsSchema),
+        responses: { 200: jsonResponse('Settings', settingsSchema), 400: invalid, ...adminOnly }
+      },
+      patch: {
+        tags: ['Admin'], summary: 'Update server settings',
+        requestBody: jsonBody(settingsSchema),
+        responses: { 200: jsonResponse('Settings', settingsSchema), 400: invalid, ...adminOnly }
+      }
+    },
+    '/healthz': {
+      get: {
+        tags: ['Operations'], summary: 'Liveness check', security: [],
+        responses: { 200: jsonResponse('Alive', { type: 'object' }) }
+      }
+    },
+    '/readyz': {
+      get: {
+        tags: ['Operations'], summary: 'Readiness check', security: [],
+        responses: { 200: jsonResponse('Ready', ref('Readiness')), 503: jsonResponse('Not ready', ref('Readiness')) }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['Operations'], summary: 'Prometheus metrics', security: [],
+        responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        tags: ['Operations'], summary: 'This document', security: [],
+        responses: { 200: jsonResponse('OpenAPI 3.1 document', { type: 'object' }) }
+      }
+    },
+    '/api/docs': {
+      get: {
+        tags: ['Operations'], summary: 'Browsable API documentation', security: [],
+        responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+      }
+    }
+  }
+};
+
+// Any request body can be refused for its size, its Content-Type or arriving too slowly
+for (const pathItem of Object.values(openApiSpec.paths)) {
+  for (const operation of Object.values(pathItem)) {
+    if (operation.requestBody) {
+      operation.responses = {
+        408: errorResponse('Request body arrived too slowly'),
+        413: errorResponse('Request body or an uploaded field is too large'),
+        415: errorResponse('Unsupported Content-Type'),
+        ...operation.responses
+      };
+    }
+  }
+}
+
+// The spec operation for a router path ("/api/stream/:id" is "/api/stream/{id}" in the spec),
+// with path-level and operation-level parameters merged
+function findOperation(method, routePath) {
+  const pathItem = openApiSpec.paths[routePath.replace(/:([a-zA-Z]+)/g, '{$1}')];
+  const operation = pathItem && pathItem[method.toLowerCase()];
+  if (!operation) {
+    return null;
+  }
+  return { operation, parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])] };
+}
+
+const schemaTypeNames = {
+  string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false',
+  array: 'an array', object: 'an object', null: 'null'
+};
+
+function matchesSchemaType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+// Check a value against the JSON Schema keywords used in openApiSpec (type, enum,
+// min/maxLength, pattern, minimum/maximum, items, min/maxItems, required, properties).
+// Pushes { field, message } for each problem found.
+function validateSchema(schema, value, field, errors) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesSchemaType(type, value))) {
+    errors.push({ field, message: `must be ${types.map(type => schemaTypeNames[type]).join(' or ')}` });
+    return errors;
+  }
+  if (value === null) {
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+  if (matchesSchemaType('object', value)) {
+    const child = key => (field ? `${field}.${key}` : key);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: child(key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateSchema(propertySchema, value[key], child(key), errors);
+      }
+    }
+  }
+  return errors;
+}
+
+// Path and query values arrive as strings; convert them to the schema's type when they parse
+function coerceParameter(schema, raw) {
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(raw)) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+// Validate path and query parameters and JSON bodies against the operation's schemas.
+// Returns a list of { in, field, message }; throws for a body that isn't valid JSON.
+async function validateRequest(req, { parameters, operation }) {
+  const errors = [];
+  for (const parameter of parameters) {
+    if (parameter.in !== 'path' && parameter.in !== 'query') continue;
+    const raw = parameter.in === 'path' ? req.params[parameter.name] : req.query.get(parameter.name);
+    if (raw === undefined || raw === null) {
+      if (parameter.required) errors.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+      continue;
+    }
+    validateSchema(parameter.schema, coerceParameter(parameter.schema, raw), parameter.name, [])
+      .forEach(error => errors.push({ in: parameter.in, ...error }));
+  }
+
+  const content = operation.requestBody && operation.requestBody.content;
+  const isMultipart = String(req.headers['content-type'] || '').startsWith('multipart/form-data');
+  if (content && content['application/json'] && !isMultipart) {
+    const body = await parseJsonBody(req);
+    validateSchema(content['application/json'].schema, body, '', [])
+      .forEach(error => errors.push({ in: 'body', ...error, field: error.field || 'body' }));
+  }
+  return errors;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Browsable rendering of openApiSpec, grouped by tag
+function renderDocsPage() {
+  const methods = ['get', 'post', 'put', 'patch', 'delete'];
+  const schemaBlock = schema => `<pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>`;
+  const securityLabel = (security) => {
+    if (security.length === 0) return 'None';
+    return security.map(entry => Object.keys(entry)[0] || 'optional').join(' or ');
+  };
+
+  const renderOperation = (path, method, pathItem, operation) => {
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+    const parameterRows = parameters.map(parameter => `
+      <tr>
+        <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td>
+        <td>${escapeHtml(parameter.in)}</td>
+        <td><code>${escapeHtml(JSON.stringify(parameter.schema))}</code></td>
+        <td>${escapeHtml(parameter.description || '')}</td>
+      </tr>`).join('');
+    const requestBody = operation.requestBody
+      ? Object.entries(operation.requestBody.content).map(([type, { schema }]) => `
+        <h4>Request body: ${escapeHtml(type)}${operation.requestBody.required ? '' : ' (optional)'}</h4>
+        ${schemaBlock(schema)}`).join('')
+      : '';
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+      const content = response.content ? Object.entries(response.content)[0] : null;
+      return `
+      <tr>
+        <td><code>${escapeHtml(status)}</code></td>
+        <td>${escapeHtml(response.description)}</td>
+        <td>${content ? `${escapeHtml(content[0])} <code>${escapeHtml(JSON.stringify(content[1].schema))}</code>` : ''}</td>
+      </tr>`;
+    }).join('');
+
+    return `
+    <details>
+      <summary><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>
+        <span class="summary">${escapeHtml(operation.summary || '')}</span></summary>
+      ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+      <p class="muted">Auth: ${escapeHtml(securityLabel(operation.security || openApiSpec.security))}</p>
+      ${parameterRows ? `<h4>Parameters</h4><table>${parameterRows}</table>` : ''}
+      ${requestBody}
+      <h4>Responses</h4>
+      <table>${responses}</table>
+    </details>`;
+  };
+
+  const sections = openApiSpec.tags.map(({ name }) => {
+    const operations = Object.entries(openApiSpec.paths).flatMap(([path, pathItem]) => methods
+      .filter(method => pathItem[method] && pathItem[method].tags.includes(name))
+      .map(method => renderOperation(path, method, pathItem, pathItem[method])));
+    return `<section><h2>${escapeHtml(name)}</h2>${operations.join('')}</section>`;
+  }).join('');
+
+  const schemas = Object.entries(openApiSpec.components.schemas).map(([name, schema]) => `
+    <details><summary><code>${escapeHtml(name)}</code></summary>${schemaBlock(schema)}</details>`).join('');
+
+  return `<!DOCTYPE html>
+  <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(openApiSpec.info.title)}</title>
+      <style>
+        :root {
+          --bg: #0f1624;
+          --panel: rgba(255, 255, 255, 0.06);
+          --accent: #1db954;
+          --text: #f3f4f6;
+          --muted: #9ca3af;
+          --danger: #ef4444;
+        }
+        body {
+          margin: 0 auto;
+          max-width: 1000px;
+          padding: 24px;
+          font-family: 'Inter', 'Segoe UI', system-ui, -apple-system, sans-serif;
+          color: var(--text);
+          background: var(--bg);
+        }
+        a { color: var(--accent); }
+        .muted { color: var(--muted); }
+        details {
+          background: var(--panel);
+          border: 1px solid rgba(255,255,255,0.08);
+          border-radius: 10px;
+          margin: 8px 0;
+          padding: 10px 14px;
+        }
+        summary { cursor: pointer; }
+        .summary { color: var(--muted); margin-left: 8px; }
+        .method {
+          display: inline-block;
+          min-width: 64px;
+          font-weight: 700;
+          font-size: 12px;
+          color: var(--accent);
+        }
+        .method.delete { color: var(--danger); }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        td { padding: 6px 8px; border-top: 1px solid rgba(255,255,255,0.08); vertical-align: top; }
+        code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; }
+        pre { background: rgba(0,0,0,0.3); padding: 10px; border-radius: 8px; overflow-x: auto; }
+      </style>
+    </head>
+    <body>
+      <h1>${escapeHtml(openApiSpec.info.title)} <span class="muted">${escapeHtml(openApiSpec.info.version)}</span></h1>
+      <p>${escapeHtml(openApiSpec.info.description)}</p>
+      <p>Machine-readable spec: <a href="/api/openapi.json">/api/openapi.json</a></p>
+      ${sections}
+      <section><h2>Schemas</h2>${schemas}</section>
+    </body>
+  </html>`;
+}
+
+const trackSortColumns = {
+  created_at: 'tracks.created_at',
+  title: 'tracks.title COLLATE NOCASE',
+  artist: 'tracks.artist COLLATE NOCASE',
+  duration: 'tracks.duration'
+};
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string') {
+      return decoded;
+    }
+  } catch (_) {
+    // fall through
+  }
+  return null;
+}
+
+// Turn free text into an FTS5 query: every word must match, as a prefix
+function toFtsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+// Per-track aggregates added to every track listing. Binds one parameter: the viewer's user id.
+const trackStatsSql = `(SELECT COUNT(*) FROM play_events
+                         WHERE play_events.track_id = tracks.id AND play_events.type = 'play') AS play_count,
+                       (SELECT COUNT(*) FROM user_likes WHERE user_likes.track_id = tracks.id) AS like_count,
+                       EXISTS (SELECT 1 FROM user_likes
+                               WHERE user_likes.track_id = tracks.id AND user_likes.user_id = ?) AS liked`;
+
+function formatTrack({ sort_value, ...track }) {
+  return { ...track, liked: Boolean(track.liked) };
+}
+
+// Build the keyset-paginated query behind GET /api/tracks.
+// Throws an Error with a status of 400 for bad parameters.
+function buildTrackQuery(searchParams, userId) {
+  const q = (searchParams.get('q') || '').trim();
+  const artist = (searchParams.get('artist') || '').trim();
+  const ftsQuery = q ? toFtsQuery(q) : '';
+  const sort = searchParams.get('sort') || (ftsQuery ? 'relevance' : 'created_at');
+  const order = (searchParams.get('order') || (sort === 'created_at' ? 'desc' : 'asc')).toLowerCase();
+  const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : 50;
+
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+  if (sort !== 'relevance' && !trackSortColumns[sort]) {
+    throw badRequest(`sort must be one of: relevance, ${Object.keys(trackSortColumns).join(', ')}`);
+  }
+  if (sort === 'relevance' && !ftsQuery) {
+    throw badRequest('sort=relevance requires a q search term');
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw badRequest('order must be asc or desc');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    throw badRequest('limit must be an integer between 1 and 200');
+  }
+
+  const sortExpr = sort === 'relevance' ? 'bm25(tracks_fts)' : trackSortColumns[sort];
+  const where = [];
+  const params = [];
+  let from = 'tracks';
+
+  if (q && !ftsQuery) {
+    // Nothing searchable (e.g. only punctuation) matches nothing
+    where.push('0');
+  } else if (ftsQuery) {
+    from = 'tracks JOIN tracks_fts ON tracks_fts.rowid = tracks.rowid';
+    where.push('tracks_fts MATCH ?');
+    params.push(ftsQuery);
+  }
+
+  if (artist) {
+    where.push('tracks.artist = ? COLLATE NOCASE');
+    params.push(artist);
+  }
+
+  const cursorParam = searchParams.get('cursor');
+  if (cursorParam) {
+    const cursor = decodeCursor(cursorParam);
+    if (!cursor) {
+      throw badRequest('Invalid cursor');
+    }
+    const op = order === 'asc' ? '>' : '<';
+    where.push(`(${sortExpr} ${op} ? OR (${sortExpr} = ? AND tracks.id ${op} ?))`);
+    params.push(cursor[0], cursor[0], cursor[1]);
+  }
+
+  const sql = `SELECT tracks.*, ${sortExpr} AS sort_value, ${trackStatsSql}
+               FROM ${from}
+               ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+               ORDER BY ${sortExpr} ${order.toUpperCase()}, tracks.id ${order.toUpperCase()}
+               LIMIT ?`;
+  // Fetch one extra row to know whether there is a next page
+  params.push(limit + 1);
+  return { sql, params: [userId, ...params], limit };
+}
+
+// Album order: by disc, then track number, with unnumbered tracks last
+const albumTrackOrderSql = `COALESCE(tracks.disc_number, 1), tracks.track_number IS NULL, tracks.track_number,
+                            tracks.title COLLATE NOCASE`;
+
+// GET /api/artists
+async function listArtists(req, res) {
+  const q = (req.query.get('q') || '').trim();
+  const artists = await dbAll(`SELECT artists.id, artists.name,
+                                 (SELECT COUNT(*) FROM albums WHERE albums.artist_id = artists.id) AS album_count,
+                                 (SELECT COUNT(*) FROM tracks WHERE tracks.artist_id = artists.id) AS track_count
+                               FROM artists
+                               ${q ? "WHERE artists.name LIKE ? ESCAPE '\\'" : ''}
+                               ORDER BY artists.name COLLATE NOCASE`,
+    q ? [`%${q.replace(/[\\%_]/g, '\\$&')}%`] : []);
+  return sendJson(res, 200, { artists });
+}
+
+// GET /api/artists/:id: the artist's albums, newest last, and all their tracks in album order
+async function getArtist(req, res) {
+  const artist = await dbGet('SELECT id, name FROM artists WHERE id = ?', [req.params.id]);
+  if (!artist) {
+    return sendJson(res, 404, { error: 'Artist not found' });
+  }
+  const albums = await dbAll(`SELECT albums.id, albums.title, albums.year, COUNT(tracks.id) AS track_count,
+                                COALESCE(SUM(tracks.duration), 0) AS duration
+                              FROM albums JOIN tracks ON tracks.album_id = albums.id
+                              WHERE albums.artist_id = ?
+                              GROUP BY albums.id
+                              ORDER BY albums.year IS NULL, albums.year, albums.title`, [artist.id]);
+  const tracks = await dbAll(`SELECT tracks.*, ${trackStatsSql}
+                              FROM tracks LEFT JOIN albums ON albums.id = tracks.album_id
+                              WHERE tracks.artist_id = ?
+                              ORDER BY albums.id IS NULL, albums.year IS NULL, albums.year, albums.title, ${albumTrackOrderSql}`,
+    [req.user.id, artist.id]);
+  return sendJson(res, 200, { artist, albums, tracks: tracks.map(formatTrack) });
+}
+
+// GET /api/albums/:id: the album with its tracks in disc and track order
+async function getAlbum(req, res) {
+  const album = await dbGet(`SELECT albums.id, albums.title, albums.year, albums.artist_id, artists.name AS artist
+                             FROM albums JOIN artists ON artists.id = albums.artist_id
+                             WHERE albums.id = ?`, [req.params.id]);
+  if (!album) {
+    return sendJson(res, 404, { error: 'Album not found' });
+  }
+  const tracks = await dbAll(`SELECT tracks.*, ${trackStatsSql} FROM tracks
+                              WHERE tracks.album_id = ?
+                              ORDER BY ${albumTrackOrderSql}`, [req.user.id, album.id]);
+  const duration = tracks.reduce((total, track) => total + (track.duration || 0), 0);
+  return sendJson(res, 200, { album: { ...album, track_count: tracks.length, duration }, tracks: tracks.map(formatTrack) });
+}
+
+function validatePlaylistName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100) {
+    return null;
+  }
+  return trimmed;
+}
+
+function findPlaylist(playlistId, userId) {
+  return dbGet('SELECT * FROM playlists WHERE id = ? AND user_id = ?', [playlistId, userId]);
+}
+
+async function getPlaylistTracks(playlistId, userId) {
+  const rows = await dbAll(`SELECT tracks.*, ${trackStatsSql}, playlist_tracks.position, playlist_tracks.added_at
+                            FROM playlist_tracks
+                            JOIN tracks ON tracks.id = playlist_tracks.track_id
+                            WHERE playlist_tracks.playlist_id = ?
+                            ORDER BY playlist_tracks.position`, [userId, playlistId]);
+  return rows.map(formatTrack);
+}
+
+// Rewrite positions in one statement so a reorder is atomic
+function reorderRows(table, keyColumn, ids, whereSql, whereParams) {
+  const cases = ids.map(() => 'WHEN ? THEN ?').join(' ');
+  const params = [];
+  ids.forEach((id, index) => params.push(id, index));
+  return dbRun(`UPDATE ${table} SET position = CASE ${keyColumn} ${cases} END WHERE ${whereSql}`,
+    [...params, ...whereParams]);
+}
+
+// Route handlers for /api/playlists, /api/playlists/:id and /api/playlists/:id/tracks[/:trackId].
+// Every playlist is scoped to the signed-in user.
+async function listPlaylists(req, res) {
+  const playlists = await dbAll(`SELECT playlists.*, COUNT(playlist_tracks.track_id) AS track_count
+                                 FROM playlists
+                                 LEFT JOIN playlist_tracks ON playlist_tracks.playlist_id = playlists.id
+                                 WHERE playlists.user_id = ?
+                                 GROUP BY playlists.id
+                                 ORDER BY playlists.position, playlists.created_at`, [req.user.id]);
+  return sendJson(res, 200, { playlists });
+}
+
+async function createPlaylist(req, res) {
+  const userId = req.user.id;
+  const name = validatePlaylistName((await parseJsonBody(req)).name);
+  if (!name) {
+    return sendJson(res, 400, { error: 'Playlist name must be 1-100 characters' });
+  }
+  const { lastID } = await dbRun(`INSERT INTO playlists (user_id, name, position)
+                                  SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM playlists WHERE user_id = ?`,
+    [userId, name, userId]);
+  const playlist = await findPlaylist(lastID, userId);
+  return sendJson(res, 201, { playlist });
+}
+
+// Reorder the user's playlists: { playlistIds: [...] }
+async function reorderPlaylists(req, res) {
+  const userId = req.user.id;
+  const { playlistIds } = await parseJsonBody(req);
+  const owned = await dbAll('SELECT id FROM playlists WHERE user_id = ?', [userId]);
+  const ids = Array.isArray(playlistIds) ? playlistIds.map(Number) : [];
+  if (ids.length !== owned.length || new Set(ids).size !== ids.length ||
+      !owned.every(row => ids.includes(row.id))) {
+    return sendJson(res, 400, { error: 'playlistIds must list every playlist exactly once' });
+  }
+  if (ids.length > 0) {
+    await reorderRows('playlists', 'id', ids, 'user_id = ?', [userId]);
+  }
+  return sendJson(res, 200, { success: true });
+}
+
+// Wrap a handler that acts on the user's playlist :id, answering 404 when there is none
+function withPlaylist(handler) {
+  return async (req, res) => {
+    const playlist = await findPlaylist(req.params.id, req.user.id);
+    if (!playlist) {
+      return sendJson(res, 404, { error: 'Playlist not found' });
+    }
+    return handler(req, res, playlist);
+  };
+}
+
+const getPlaylist = withPlaylist(async (req, res, playlist) => {
+  const tracks = await getPlaylistTracks(playlist.id, req.user.id);
+  return sendJson(res, 200, { playlist, tracks });
+});
+
+const renamePlaylist = withPlaylist(async (req, res, playlist) => {
+  const name = validatePlaylistName((await parseJsonBody(req)).name);
+  if (!name) {
+    return sendJson(res, 400, { error: 'Playlist name must be 1-100 characters' });
+  }
+  await dbRun('UPDATE playlists SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [name, playlist.id]);
+  return sendJson(res, 200, { playlist: { ...playlist, name } });
+});
+
+const deletePlaylist = withPlaylist(async (req, res, playlist) => {
+  await dbRun('DELETE FROM playlist_tracks WHERE playlist_id = ?', [playlist.id]);
+  await dbRun('DELETE FROM playlists WHERE id = ?', [playlist.id]);
+  return sendJson(res, 200, { success: true });
+});
+
+const addPlaylistTrack = withPlaylist(async (req, res, playlist) => {
+  const body = await parseJsonBody(req);
+  const track = await dbGet('SELECT id FROM tracks WHERE id = ?', [body.trackId]);
+  if (!track) {
+    return sendJson(res, 404, { error: 'Track not found' });
+  }
+  const existing = await dbGet('SELECT 1 FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?',
+    [playlist.id, track.id]);
+  if (existing) {
+    return sendJson(res, 409, { error: 'Track already in playlist' });
+  }
+  await dbRun(`INSERT INTO playlist_tracks (playlist_id, track_id, position)
+               SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM playlist_tracks WHERE playlist_id = ?`,
+    [playlist.id, track.id, playlist.id]);
+  await dbRun('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlist.id]);
+  return sendJson(res, 201, { success: true });
+});
+
+// Reorder tracks in the playlist: { trackIds: [...] }
+const reorderPlaylistTracks = withPlaylist(async (req, res, playlist) => {
+  const { trackIds } = await parseJsonBody(req);
+  const current = await dbAll('SELECT track_id FROM playlist_tracks WHERE playlist_id = ?', [playlist.id]);
+  const ids = Array.isArray(trackIds) ? trackIds.map(String) : [];
+  if (ids.length !== current.length || new Set(ids).size !== ids.length ||
+      !current.every(row => ids.includes(row.track_id))) {
+    return sendJson(res, 400, { error: 'trackIds must list every track in the playlist exactly once' });
+  }
+  if (ids.length > 0) {
+    await reorderRows('playlist_tracks', 'track_id', ids, 'playlist_id = ?', [playlist.id]);
+  }
+  await dbRun('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlist.id]);
+  return sendJson(res, 200, { success: true });
+});
+
+const removePlaylistTrack = withPlaylist(async (req, res, playlist) => {
+  const { changes } = await dbRun('DELETE FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?',
+    [playlist.id, req.params.trackId]);
+  if (!changes) {
+    return sendJson(res, 404, { error: 'Track not in playlist' });
+  }
+  await dbRun('UPDATE playlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [playlist.id]);
+  return sendJson(res, 200, { success: true });
+});
+
+function removeStoredFile(kind, filename) {
+  if (filename) {
+    storage.remove(`${kind}/${filename}`).catch(err => {
+      log.error('Failed to remove file from storage', { key: `${kind}/${filename}`, err });
+    });
+  }
+}
+
+function parseOptionalInteger(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+const editableTrackFields = {
+  title: 'text',
+  artist: 'text',
+  album: 'text',
+  genre: 'text',
+  track_number: 'integer',
+  disc_number: 'integer',
+  year: 'integer'
+};
+
+// Find or create the artist and album rows for a track's artist and album text.
+// Returns { artistId, albumId }; albumId is null for tracks without an album.
+async function linkArtistAlbum(artist, album, year) {
+  const name = artist.trim();
+  await dbRun('INSERT OR IGNORE INTO artists (name) VALUES (?)', [name]);
+  const { id: artistId } = await dbGet('SELECT id FROM artists WHERE name = ?', [name]);
+  const title = (album || '').trim();
+  if (!title) {
+    return { artistId, albumId: null };
+  }
+  await dbRun('INSERT OR IGNORE INTO albums (artist_id, title, year) VALUES (?, ?, ?)', [artistId, title, year || null]);
+  const { id: albumId } = await dbGet('SELECT id FROM albums WHERE artist_id = ? AND title = ?', [artistId, title]);
+  if (year) {
+    await dbRun('UPDATE albums SET year = ? WHERE id = ? AND year IS NULL', [year, albumId]);
+  }
+  return { artistId, albumId };
+}
+
+// Name artists and albums after the most common spelling among their tracks (the earliest
+// track's on a tie), so "Daft Punk" wins over one "daft punk". Pass ids to rename only those
+// artists and albums; without them every one is renamed, as the migration backfill does.
+async function applyCommonSpellings(artistIds, albumIds) {
+  const only = ids => (ids ? `AND id IN (${ids.map(() => '?').join(', ')})` : '');
+  const ids = list => (list ? list.filter(id => id !== null && id !== undefined) : undefined);
+  artistIds = ids(artistIds);
+  albumIds = ids(albumIds);
+  await dbRun(`UPDATE artists SET name = (
+                 SELECT trim(artist) FROM tracks WHERE tracks.artist_id = artists.id
+                 GROUP BY trim(artist) ORDER BY COUNT(*) DESC, MIN(tracks.rowid) LIMIT 1)
+               WHERE id IN (SELECT artist_id FROM tracks) ${only(artistIds)}`, artistIds || []);
+  await dbRun(`UPDATE albums SET title = (
+                 SELECT trim(album) FROM tracks WHERE tracks.album_id = albums.id
+                 GROUP BY trim(album) ORDER BY COUNT(*) DESC, MIN(tracks.rowid) LIMIT 1)
+               WHERE id IN (SELECT album_id FROM tracks) ${only(albumIds)}`, albumIds || []);
+}
+
+// Drop albums and artists that no track refers to any more
+async function pruneArtistsAlbums() {
+  await dbRun('DELETE FROM albums WHERE id NOT IN (SELECT album_id FROM tracks WHERE album_id IS NOT NULL)');
+  await dbRun(`DELETE FROM artists WHERE id NOT IN (SELECT artist_id FROM tracks WHERE artist_id IS NOT NULL)
+                 AND id NOT IN (SELECT artist_id FROM albums)`);
+}
+
+// Delete a track with everything that refers to it, then its files
+async function removeTrack(track) {
+  await dbRun('DELETE FROM playlist_tracks WHERE track_id = ?', [track.id]);
+  await dbRun('DELETE FROM user_likes WHERE track_id = ?', [track.id]);
+  await dbRun('DELETE FROM play_events WHERE track_id = ?', [track.id]);
+  await dbRun('DELETE FROM tracks WHERE id = ?', [track.id]);
+  await pruneArtistsAlbums();
+  await applyCommonSpellings([track.artist_id], [track.album_id]);
+  publishEvent('track.deleted', { track: { id: track.id } });
+  removeStoredFile('music', track.filename);
+  removeStoredFile('covers', track.cover_filename);
+}
+
+// DELETE /api/admin/tracks/:id
+async function deleteTrack(req, res) {
+  let track;
+  try {
+    track = await dbGet('SELECT * FROM tracks WHERE id = ?', [req.params.id]);
+    if (!track) {
+      return sendJson(res, 404, { error: 'Track not found' });
+    }
+    await removeTrack(track);
+  } catch (err) {
+    return sendServerError(req, res, err);
+  }
+  req.log.info('Track deleted', { trackId: track.id, userId: req.user.id });
+  return sendJson(res, 200, { success: true });
+}
+
+// PUT/PATCH /api/admin/tracks/:id
+async function updateTrack(req, res) {
+  const trackId = req.params.id;
+  let track;
+  try {
+    track = await dbGet('SELECT * FROM tracks WHERE id = ?', [trackId]);
+  } catch (err) {
+    return sendServerError(req, res, err);
+  }
+
+  // Metadata-only edits can be sent as JSON; file replacements need multipart
+  let body;
+  let files = {};
+  try {
+    if (String(req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+      await parseMultipart(req, upload.fields([
+        { name: 'music', maxCount: 1 },
+        { name: 'cover', maxCount: 1 }
+      ]));
+      body = req.body || {};
+      files = req.files || {};
+    } else {
+      body = await parseJsonBody(req);
+    }
+  } catch (err) {
+    req.log.warn('Track edit rejected', { trackId, error: err.message });
+    return sendJson(res, err.status || 400, { error: err.message }, err.headers);
+  }
+
+  const musicFile = files.music ? files.music[0] : null;
+  const coverFile = files.cover ? files.cover[0] : null;
+
+  if (!track) {
+    removeUploadedFiles(files);
+    return sendJson(res, 404, { error: 'Track not found' });
+  }
+
+  try {
+    if (musicFile) await identifyUpload(musicFile, 'music');
+    if (coverFile) await identifyUpload(coverFile, 'covers');
+  } catch (err) {
+    removeUploadedFiles(files);
+    req.log.warn('Track edit rejected', { trackId, error: err.message });
+    return sendJson(res, err.status || 500, { error: err.message });
+  }
+
+  const updates = {};
+  for (const [field, type] of Object.entries(editableTrackFields)) {
+    if (!(field in body)) continue;
+    if (type === 'integer') {
+      const value = parseOptionalInteger(body[field]);
+      if (Number.isNaN(value)) {
+        removeUploadedFiles(files);
+        return sendJson(res, 400, { error: `${field} must be an integer` });
+      }
+      updates[field] = value;
+    } else {
+      const value = String(body[field] == null ? '' : body[field]).trim();
+      if (!value && (field === 'title' || field === 'artist')) {
+        removeUploadedFiles(files);
+        return sendJson(res, 400, { error: `${field} cannot be empty` });
+      }
+      updates[field] = value || null;
+    }
+  }
+
+  if (musicFile) {
+    const meta = await extractAudioMetadata(musicFile.path);
+    updates.filename = musicFile.filename;
+    updates.mime_type = musicFile.detectedType;
+    updates.file_size = musicFile.size;
+    updates.duration = meta.duration;
+    updates.bitrate = meta.bitrate;
+  }
+
+  const removeCover = body.removeCover === true || body.removeCover === 'true';
+  if (coverFile) {
+    updates.cover_filename = coverFile.filename;
+    updates.cover_mime_type = coverFile.detectedType;
+  } else if (removeCover) {
+    updates.cover_filename = null;
+    updates.cover_mime_type = null;
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length === 0) {
+    return sendJson(res, 400, { error: 'Nothing to update' });
+  }
+
+  try {
+    if (musicFile) await storeUploadedFile(musicFile, 'music');
+    if (coverFile) await storeUploadedFile(coverFile, 'covers');
+  } catch (err) {
+    removeUploadedFiles(files);
+    if (musicFile) removeStoredFile('music', musicFile.filename);
+    return sendServerError(req, res, err, 'Storage unavailable', 502);
+  }
+
+  const relink = ['artist', 'album', 'year'].some(field => field in updates);
+  try {
+    if (relink) {
+      const merged = { ...track, ...updates };
+      const { artistId, albumId } = await linkArtistAlbum(merged.artist, merged.album, merged.year);
+      updates.artist_id = artistId;
+      updates.album_id = albumId;
+      columns.push('artist_id', 'album_id');
+    }
+    await dbRun(`UPDATE tracks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => updates[column]), track.id]);
+    if (relink) {
+      await pruneArtistsAlbums();
+      await applyCommonSpellings([track.artist_id, updates.artist_id], [track.album_id, updates.album_id]);
     }
-  `;
+  } catch (err) {
+    if (musicFile) removeStoredFile('music', musicFile.filename);
+    if (coverFile) removeStoredFile('covers', coverFile.filename);
+    return sendServerError(req, res, err);
+  }
 
-  const html = `
-  <!doctype html>
-  <html lang="en">
-    <head>
-      <meta charset="utf-8"/>
-      <meta name="viewport" content="width=device-width, initial-scale=1"/>
-      <title>Music Streaming Platform</title>
-      <link rel="preconnect" href="https://fonts.googleapis.com">
-      <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-      <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap" rel="stylesheet">
-      <style>${baseStyle}</style>
-    </head>
-    <body>
-      <div class="app">
-        <div class="header">
-          <div class="title">Music Platform</div>
-          <div class="user-info">
-            <div id="username" class="pill"></div>
-            <button id="logout" class="hidden">Logout</button>
-          </div>
-        </div>
+  // Only drop the old files once the row points at the new ones
+  if ('filename' in updates) {
+    removeStoredFile('music', track.filename);
+  }
+  if ('cover_filename' in updates) {
+    removeStoredFile('covers', track.cover_filename);
+  }
 
-        <!-- Login Form -->
-        <div id="login-section" class="login-form">
-          <h2>Login</h2>
-          <div class="form-group">
-            <label>Username:</label>
-            <input type="text" id="login-username" placeholder="Enter username" />
-          </div>
-          <div class="form-group">
-            <label>Password:</label>
-            <input type="password" id="login-password" placeholder="Enter password" />
-          </div>
-          <button id="login-btn" class="play">Login</button>
-          <button id="register-btn">Register</button>
-        </div>
+  publishTrackEvent('track.updated', track.id);
+  return sendJson(res, 200, { success: true, track: { ...track, ...updates } });
+}
 
-        <!-- Registration Form -->
-        <div id="register-section" class="login-form hidden">
-          <h2>Register</h2>
-          <div class="form-group">
-            <label>Username:</label>
-            <input type="text" id="register-username" placeholder="Choose username" />
-          </div>
-          <div class="form-group">
-            <label>Password:</label>
-            <input type="password" id="register-password" placeholder="Choose password" />
-          </div>
-          <button id="register-submit" class="play">Register</button>
-          <button id="back-to-login">Back to Login</button>
-        </div>
+// Set once SIGTERM/SIGINT arrives: readiness fails and connections are drained
+let shuttingDown = false;
+let inFlightRequests = 0;
 
-        <!-- Main App -->
-        <div id="main-app" class="hidden">
-          <div class="content">
-            <div class="now-playing">
-              <div>
-                <div id="album-art" class="art"></div>
-                <div class="track-info" style="margin-top:16px;">
-                  <h2 id="track-title">Select a track</h2>
-                  <p id="track-artist">Choose from playlist</p>
-                </div>
-                <div class="controls" style="margin-top:16px;">
-                  <button id="prev" title="Previous">&lt;&lt; Prev</button>
-                  <button class="play" id="play">Play</button>
-                  <button id="next" title="Next">Next &gt;&gt;</button>
-                  <button class="toggle" id="shuffle" title="Shuffle">Shuffle</button>
-                  <button class="toggle" id="mute" title="Mute">Mute</button>
-                </div>
-              <div class="progress">
-                <input id="seek" class="bar" type="range" min="0" max="100" value="0" step="0.5"/>
-                <div class="time">
-                  <span id="current">0:00</span>
-                  <span id="duration">0:00</span>
-                </div>
-              </div>
-              <div class="topline">
-                <div class="status"><span class="dot"></span><span id="status-text">Ready</span></div>
-                <div class="env">env: ${appEnv}</div>
-              </div>
-            </div>
-          </div>
-          <div class="playlist">
-            <div class="topline">
-              <div>Playlist</div>
-              <div class="badge">Live</div>
-            </div>
-            <div id="tracks"></div>
-          </div>
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-          <!-- Admin Panel -->
-          <div id="admin-panel" class="admin-panel hidden">
-            <h2>Admin Panel - Upload Music</h2>
-            <form id="upload-form" enctype="multipart/form-data">
-              <div class="form-group">
-                <label>Track Title:</label>
-                <input type="text" id="track-title-input" required />
-              </div>
-              <div class="form-group">
-                <label>Artist Name:</label>
-                <input type="text" id="artist-input" required />
-              </div>
-              <div class="form-group">
-                <label>Music File:</label>
-                <input type="file" id="music-file" accept="audio/*" required />
-              </div>
-              <div class="form-group">
-                <label>Cover Image (optional):</label>
-                <input type="file" id="cover-file" accept="image/*" />
-              </div>
-              <button type="submit" class="play">Upload Track</button>
-            </form>
-          </div>
-        </div>
-      </div>
+async function checkReadiness() {
+  const checks = {};
 
-      <script>
-        let token = localStorage.getItem('token');
-        let currentUser = null;
-        
-        const state = {
-          tracks: [],
-          current: 0,
-          playing: false,
-          shuffle: false
-        };
+  if (shuttingDown) {
+    checks.shutdown = { ok: false, error: 'Server is shutting down' };
+  }
 
-        const audio = new Audio();
-        audio.preload = 'metadata';
+  try {
+    await withTimeout(dbGet('SELECT 1 AS ok'), 2000, 'Database query timed out');
+    checks.database = { ok: true };
+  } catch (err) {
+    checks.database = { ok: false, error: err.message };
+  }
 
-        const els = {
-          title: document.getElementById('track-title'),
-          artist: document.getElementById('track-artist'),
-          status: document.getElementById('status-text'),
-          tracks: document.getElementById('tracks'),
-          play: document.getElementById('play'),
-          next: document.getElementById('next'),
-          prev: document.getElementById('prev'),
-          shuffle: document.getElementById('shuffle'),
-          mute: document.getElementById('mute'),
-          seek: document.getElementById('seek'),
-          current: document.getElementById('current'),
-          duration: document.getElementById('duration'),
-          albumArt: document.getElementById('album-art')
-        };
+  try {
+    await withTimeout(storage.check(), 2000, 'Storage check timed out');
+    checks.storage = { ok: true, driver: storage.name };
+  } catch (err) {
+    checks.storage = { ok: false, driver: storage.name, error: err.message };
+  }
 
-        function fmt(seconds) {
-          const m = Math.floor(seconds / 60);
-          const s = Math.floor(seconds % 60);
-          return m + ':' + String(s).padStart(2,'0');
-        }
+  // Live events are optional: without them players only miss in-place updates, so an outage
+  // is reported as degraded rather than taking the pod out of the Service
+  try {
+    await withTimeout(eventBus.check(), 2000, 'Event bus check timed out');
+    checks.events = { ok: true, driver: eventBus.name };
+  } catch (err) {
+    checks.events = { ok: false, degraded: true, driver: eventBus.name, error: err.message };
+  }
 
-        async function apiCall(endpoint, options = {}) {
-          const config = {
-            ...options,
-            headers: {
-              'Content-Type': 'application/json',
-              ...(token && { Authorization: \`Bearer \${token}\` }),
-              ...options.headers
-            }
-          };
-          
-          const response = await fetch(endpoint, config);
-          return response.json();
-        }
+  try {
+    await fs.promises.access(uploadTmpDir, fs.constants.W_OK);
+    checks.uploads_tmp = { ok: true };
+  } catch (err) {
+    checks.uploads_tmp = { ok: false, error: `${uploadTmpDir} is not writable (${err.code || err.message})` };
+  }
 
-        async function login() {
-          const username = document.getElementById('login-username').value;
-          const password = document.getElementById('login-password').value;
-          
-          const result = await apiCall('/api/auth/login', {
-            method: 'POST',
-            body: JSON.stringify({ username, password })
-          });
-          
-          if (result.token) {
-            token = result.token;
-            localStorage.setItem('token', token);
-            currentUser = result.user;
-            showMainApp();
-          } else {
-            alert(result.error || 'Login failed');
-          }
-        }
+  return {
+    ok: Object.values(checks).every(check => check.ok || check.degraded),
+    degraded: Object.values(checks).some(check => check.degraded),
+    checks
+  };
+}
 
-        async function register() {
-          const username = document.getElementById('register-username').value;
-          const password = document.getElementById('register-password').value;
-          
-          const result = await apiCall('/api/auth/register', {
-            method: 'POST',
-            body: JSON.stringify({ username, password })
-          });
-          
-          if (result.success) {
-            alert('Registration successful! Please login.');
-            showLoginForm();
-          } else {
-            alert(result.error || 'Registration failed');
-          }
-        }
+async function getSetting(key, fallback) {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? row.value : fallback;
+}
 
-        function showLoginForm() {
-          document.getElementById('login-section').classList.remove('hidden');
-          document.getElementById('register-section').classList.add('hidden');
-          document.getElementById('main-app').classList.add('hidden');
-        }
+function setSetting(key, value) {
+  return dbRun(`INSERT INTO settings (key, value) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`, [key, value]);
+}
 
-        function showRegisterForm() {
-          document.getElementById('login-section').classList.add('hidden');
-          document.getElementById('register-section').classList.remove('hidden');
-          document.getElementById('main-app').classList.add('hidden');
-        }
+async function isRegistrationOpen() {
+  return (await getSetting('registration_open', 'true')) === 'true';
+}
 
-        async function showMainApp() {
-          document.getElementById('login-section').classList.add('hidden');
-          document.getElementById('register-section').classList.add('hidden');
-          document.getElementById('main-app').classList.remove('hidden');
-          
-          document.getElementById('username').textContent = currentUser.username;
-          document.getElementById('logout').classList.remove('hidden');
-          
-          if (currentUser.is_admin) {
-            document.getElementById('admin-panel').classList.remove('hidden');
-          }
-          
-          await fetchTracks();
-        }
+async function revokeUserSessions(userId) {
+  endSessionStreams(await dbAll(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+                                 WHERE user_id = ? AND revoked_at IS NULL RETURNING id`, [userId]));
+}
+
+// A temporary password for an admin to hand to the user
+function generatePassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+// Set a new password, clearing any lockout and signing the user out everywhere
+async function setUserPassword(userId, password) {
+  await dbRun('UPDATE users SET password = ?, failed_logins = 0, locked_until = NULL WHERE id = ?',
+    [bcrypt.hashSync(password, 10), userId]);
+  await revokeUserSessions(userId);
+}
+
+const adminUserColumns = `id, username, is_admin, disabled, failed_logins, locked_until, created_at,
+                          (SELECT MAX(last_used_at) FROM sessions WHERE sessions.user_id = users.id) AS last_active_at`;
+
+function formatAdminUser(user) {
+  return { ...user, is_admin: Boolean(user.is_admin), disabled: Boolean(user.disabled) };
+}
+
+// GET /api/admin/users
+async function listUsers(req, res) {
+  const q = (req.query.get('q') || '').trim();
+  const users = await dbAll(`SELECT ${adminUserColumns} FROM users
+                             ${q ? "WHERE username LIKE ? ESCAPE '\\'" : ''}
+                             ORDER BY username COLLATE NOCASE`,
+    q ? [`%${q.replace(/[\\%_]/g, '\\$&')}%`] : []);
+  return sendJson(res, 200, { users: users.map(formatAdminUser) });
+}
+
+// Wrap a handler that acts on user :id, answering 404 when there is none
+function withAdminTarget(handler) {
+  return async (req, res) => {
+    const user = await dbGet(`SELECT ${adminUserColumns} FROM users WHERE id = ?`, [req.params.id]);
+    if (!user) {
+      return sendJson(res, 404, { error: 'User not found' });
+    }
+    return handler(req, res, user);
+  };
+}
+
+function countOtherAdmins(userId) {
+  return dbGet('SELECT COUNT(*) AS count FROM users WHERE is_admin = 1 AND disabled = 0 AND id != ?', [userId])
+    .then(row => row.count);
+}
 
-        function logout() {
-          token = null;
-          currentUser = null;
-          localStorage.removeItem('token');
-          showLoginForm();
-        }
+const getUser = withAdminTarget(async (req, res, user) => sendJson(res, 200, { user: formatAdminUser(user) }));
 
-        async function fetchTracks() {
-          const result = await apiCall('/api/tracks');
-          if (result.tracks) {
-            state.tracks = result.tracks;
-            renderList();
-            if (state.tracks.length > 0) {
-              loadTrack(0);
-            }
-          }
-        }
+// Use the password given, or generate a temporary one to hand to the user
+const resetUserPassword = withAdminTarget(async (req, res, user) => {
+  const body = await parseJsonBody(req);
+  const generated = !body.password;
+  const password = generated ? generatePassword() : body.password;
+  const policyError = validateCredentials(user.username, password);
+  if (policyError) {
+    return sendJson(res, 400, { error: policyError });
+  }
+  await setUserPassword(user.id, password);
+  notifyUser(user.id, 'An administrator reset your password. Sign in again with the new one.');
+  req.log.info('Password reset by admin', { userId: user.id, adminId: req.user.id, generated });
+  return sendJson(res, 200, { success: true, ...(generated && { password }) });
+});
 
-        function renderList() {
-          els.tracks.innerHTML = '';
-          state.tracks.forEach((t, i) => {
-            const div = document.createElement('div');
-            div.className = 'track' + (i === state.current ? ' active' : '');
-            div.innerHTML = \`
-              <div class="meta">
-                <div class="title">\${t.title}</div>
-                <div class="artist">\${t.artist}</div>
-              </div>
-              <div class="badge">\${t.duration}s</div>
-            \`;
-            div.onclick = () => { state.current = i; loadTrack(i, true); };
-            els.tracks.appendChild(div);
-          });
-        }
+const updateUser = withAdminTarget(async (req, res, user) => {
+  const body = await parseJsonBody(req);
+  const updates = {};
+  for (const field of ['is_admin', 'disabled']) {
+    if (!(field in body)) continue;
+    if (typeof body[field] !== 'boolean') {
+      return sendJson(res, 400, { error: `${field} must be true or false` });
+    }
+    updates[field] = body[field] ? 1 : 0;
+  }
+  if (Object.keys(updates).length === 0) {
+    return sendJson(res, 400, { error: 'Nothing to update' });
+  }
 
-        function loadTrack(idx, autoplay) {
-          const t = state.tracks[idx];
-          if (!t) return;
-          
-          state.current = idx;
-          els.title.textContent = t.title;
-          els.artist.textContent = t.artist;
-          audio.src = \`/api/stream/\${t.id}\`;
-          audio.currentTime = 0;
-          els.duration.textContent = t.duration ? fmt(t.duration) : '0:00';
-          els.seek.value = 0;
-          els.status.textContent = 'Loaded ' + t.title;
-          
-          // Set cover image
-          if (t.cover_filename) {
-            els.albumArt.style.backgroundImage = \`url(/api/cover/\${t.id})\`;
-          } else {
-            els.albumArt.style.backgroundImage = '';
-          }
-          
-          renderList();
-          if (autoplay) play();
-        }
+  const losesAdmin = user.is_admin && (updates.is_admin === 0 || updates.disabled === 1);
+  if (user.id === req.user.id && losesAdmin) {
+    return sendJson(res, 400, { error: 'You cannot demote or disable your own account' });
+  }
+  if (losesAdmin && (await countOtherAdmins(user.id)) === 0) {
+    return sendJson(res, 400, { error: 'At least one active admin is required' });
+  }
 
-        function play() {
-          const t = state.tracks[state.current];
-          if (!t) return;
-          audio.play();
-          state.playing = true;
-          els.play.textContent = 'Pause';
-          els.status.textContent = 'Playing ' + t.title;
-          sendEvent('play', t.id);
-        }
+  const columns = Object.keys(updates);
+  await dbRun(`UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => updates[column]), user.id]);
+  if (updates.disabled === 1) {
+    await revokeUserSessions(user.id);
+  }
+  if ('is_admin' in updates && updates.is_admin !== user.is_admin) {
+    notifyUser(user.id, updates.is_admin ? 'You are now an administrator.' : 'You are no longer an administrator.');
+  }
 
-        function pause() {
-          audio.pause();
-          state.playing = false;
-          els.play.textContent = 'Play';
-          els.status.textContent = 'Paused';
-        }
+  req.log.info('User updated by admin', { userId: user.id, adminId: req.user.id, changes: updates });
+  const updated = await dbGet(`SELECT ${adminUserColumns} FROM users WHERE id = ?`, [user.id]);
+  return sendJson(res, 200, { user: formatAdminUser(updated) });
+});
 
-        function next() {
-          const t = state.tracks[state.current];
-          if (state.shuffle) {
-            state.current = Math.floor(Math.random() * state.tracks.length);
-          } else {
-            state.current = (state.current + 1) % state.tracks.length;
-          }
-          loadTrack(state.current, true);
-          if (t) sendEvent('skip', t.id);
-        }
+const deleteUser = withAdminTarget(async (req, res, user) => {
+  if (user.id === req.user.id) {
+    return sendJson(res, 400, { error: 'You cannot delete your own account' });
+  }
+  if (user.is_admin && !user.disabled && (await countOtherAdmins(user.id)) === 0) {
+    return sendJson(res, 400, { error: 'At least one active admin is required' });
+  }
 
-        function prev() {
-          state.current = (state.current - 1 + state.tracks.length) % state.tracks.length;
-          loadTrack(state.current, true);
-        }
+  await dbRun('DELETE FROM playlist_tracks WHERE playlist_id IN (SELECT id FROM playlists WHERE user_id = ?)', [user.id]);
+  await dbRun('DELETE FROM playlists WHERE user_id = ?', [user.id]);
+  await dbRun('DELETE FROM user_likes WHERE user_id = ?', [user.id]);
+  await dbRun('DELETE FROM play_events WHERE user_id = ?', [user.id]);
+  endSessionStreams(await dbAll('DELETE FROM sessions WHERE user_id = ? RETURNING id', [user.id]));
+  await dbRun('UPDATE tracks SET uploaded_by = NULL WHERE uploaded_by = ?', [user.id]);
+  await dbRun('DELETE FROM users WHERE id = ?', [user.id]);
+  req.log.info('User deleted by admin', { userId: user.id, adminId: req.user.id });
+  return sendJson(res, 200, { success: true });
+});
 
-        function toggleShuffle() {
-          state.shuffle = !state.shuffle;
-          els.shuffle.classList.toggle('active', state.shuffle);
-        }
+// Resolve the route's auth level: 'public' routes run for anyone, 'user' routes need a valid
+// access token (or, where `signedMedia` is set, a signed URL) and 'admin' routes an admin's.
+// Returns false once it has answered the request itself.
+async function authorizeRoute(req, res, route) {
+  if (route.auth === 'public') {
+    return true;
+  }
 
-        function toggleMute() {
-          audio.muted = !audio.muted;
-          els.mute.classList.toggle('active', audio.muted);
-          els.mute.textContent = audio.muted ? 'Muted' : 'Mute';
-        }
+  if (route.signedMedia && (req.method === 'GET' || req.method === 'HEAD') && req.query.has('sig')) {
+    if (!(await verifyMediaUrl(req.pathname, req.query))) {
+      sendJson(res, 403, { error: 'Invalid or expired media link' });
+      return false;
+    }
+    return true;
+  }
 
-        async function sendEvent(type, trackId) {
-          await apiCall('/api/event', {
-            method: 'POST',
-            body: JSON.stringify({ type, trackId })
-          });
-        }
+  const user = await authenticate(req);
+  if (!user) {
+    sendJson(res, 401, { error: 'Authentication required' });
+    return false;
+  }
+  req.user = user;
 
-        async function uploadTrack() {
-          const formData = new FormData();
-          const title = document.getElementById('track-title-input').value;
-          const artist = document.getElementById('artist-input').value;
-          const musicFile = document.getElementById('music-file').files[0];
-          const coverFile = document.getElementById('cover-file').files[0];
-          
-          if (!title || !artist || !musicFile) {
-            alert('Please fill in all required fields');
-            return;
-          }
-          
-          formData.append('title', title);
-          formData.append('artist', artist);
-          formData.append('music', musicFile);
-          if (coverFile) {
-            formData.append('cover', coverFile);
-          }
-          
-          try {
-            const response = await fetch('/api/admin/upload', {
-              method: 'POST',
-              headers: {
-                Authorization: \`Bearer \${token}\`
-              },
-              body: formData
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
-              alert('Track uploaded successfully!');
-              document.getElementById('upload-form').reset();
-              await fetchTracks();
-            } else {
-              alert(result.error || 'Upload failed');
-            }
-          } catch (err) {
-            alert('Upload failed: ' + err.message);
-          }
-        }
+  if (route.auth === 'admin' && !user.is_admin) {
+    sendJson(res, 403, { error: 'Admin access required' });
+    return false;
+  }
+  return true;
+}
 
-        audio.addEventListener('ended', next);
-        audio.addEventListener('timeupdate', () => {
-          if (audio.duration) {
-            const pct = (audio.currentTime / audio.duration) * 100;
-            els.seek.value = pct;
-            els.current.textContent = fmt(audio.currentTime);
-            els.duration.textContent = fmt(audio.duration);
-          }
-        });
+// Check parameters and JSON bodies against the route's OpenAPI operation
+async function validateRoute(req, res, route) {
+  if (!route.operation) {
+    return true;
+  }
+  const fields = await validateRequest(req, route.operation);
+  if (fields.length > 0) {
+    req.log.debug('Request failed validation', { fields });
+    sendJson(res, 400, { error: 'Invalid request', fields });
+    return false;
+  }
+  return true;
+}
 
-        els.play.onclick = () => (state.playing ? pause() : play());
-        els.next.onclick = next;
-        els.prev.onclick = prev;
-        els.shuffle.onclick = toggleShuffle;
-        els.mute.onclick = toggleMute;
-        els.seek.oninput = (e) => {
-          if (!audio.duration) return;
-          const pct = Number(e.target.value) / 100;
-          audio.currentTime = pct * audio.duration;
-        };
+// Errors that reach the router: client errors carry a status below 500, anything else is a bug
+// or an outage and gets logged with its stack
+function sendRouteError(req, res, err) {
+  if (res.headersSent) {
+    (req.log || log).error('Request failed after the response started', { err });
+    res.destroy();
+    return;
+  }
+  if (err.status && err.status < 500) {
+    return sendJson(res, err.status, { error: err.message }, err.headers);
+  }
+  return sendServerError(req, res, err, 'Internal server error');
+}
 
-        document.getElementById('login-btn').onclick = login;
-        document.getElementById('register-btn').onclick = showRegisterForm;
-        document.getElementById('register-submit').onclick = register;
-        document.getElementById('back-to-login').onclick = showLoginForm;
-        document.getElementById('logout').onclick = logout;
-        document.getElementById('upload-form').onsubmit = (e) => {
-          e.preventDefault();
-          uploadTrack();
-        };
+// Routes are declared per method with `:name` path parameters (available as req.params) and
+// an auth level: `user` unless the route says `public` or `admin`. Middleware added with use()
+// runs on every request, matched or not, as `(req, res, next)`.
+function createRouter() {
+  const routes = [];
+  const middleware = [];
 
-        // Handle enter key on login forms
-        document.getElementById('login-password').onkeypress = (e) => {
-          if (e.key === 'Enter') login();
-        };
-        document.getElementById('register-password').onkeypress = (e) => {
-          if (e.key === 'Enter') register();
-        };
+  function add(method, path, options, handler) {
+    if (typeof options === 'function') {
+      handler = options;
+      options = {};
+    }
+    const names = [];
+    const pattern = new RegExp('^' + path.replace(/:([a-zA-Z]+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    }) + '$');
+    routes.push({
+      method,
+      path,
+      pattern,
+      names,
+      handler,
+      auth: options.auth || 'user',
+      signedMedia: Boolean(options.signedMedia),
+      operation: findOperation(method, path)
+    });
+  }
 
-        // Initialize app
-        if (token) {
-          apiCall('/api/auth/verify').then(result => {
-            if (result.user) {
-              currentUser = result.user;
-              showMainApp();
-            } else {
-              logout();
-            }
-          });
-        } else {
-          showLoginForm();
+  // The route for this method and path, or the methods the path does allow.
+  // HEAD is answered by the GET route; Node leaves out the body.
+  function match(method, pathname) {
+    const allowed = [];
+    for (const route of routes) {
+      const found = route.pattern.exec(pathname);
+      if (!found) continue;
+      if (route.method !== method && !(method === 'HEAD' && route.method === 'GET')) {
+        allowed.push(...(route.method === 'GET' ? ['GET', 'HEAD'] : [route.method]));
+        continue;
+      }
+      const params = {};
+      route.names.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(found[index + 1]);
+        } catch (_) {
+          params[name] = found[index + 1];
         }
-      </script>
-    </body>
-  </html>
-  `;
+      });
+      return { route, params };
+    }
+    return { allowed: [...new Set(allowed)] };
+  }
 
-  return html;
+  async function dispatch(req, res) {
+    const { route, params, allowed } = match(req.method, req.pathname);
+    if (!route) {
+      if (allowed.length > 0) {
+        req.routePath = routes.find(({ pattern }) => pattern.test(req.pathname)).path;
+        return sendJson(res, 405, { error: 'Method not allowed' }, { Allow: allowed.join(', ') });
+      }
+      return sendJson(res, 404, { error: 'not found', path: req.pathname });
+    }
+
+    req.routePath = route.path;
+    req.params = params;
+    if (!(await authorizeRoute(req, res, route))) return;
+    if (!(await validateRoute(req, res, route))) return;
+    return route.handler(req, res);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    req.pathname = url.pathname;
+    req.query = url.searchParams;
+
+    const run = (index) => (index < middleware.length
+      ? middleware[index](req, res, () => run(index + 1))
+      : dispatch(req, res));
+    try {
+      await run(0);
+    } catch (err) {
+      sendRouteError(req, res, err);
+    }
+  }
+
+  return {
+    use(fn) {
+      middleware.push(fn);
+    },
+    get: (path, options, handler) => add('GET', path, options, handler),
+    post: (path, options, handler) => add('POST', path, options, handler),
+    put: (path, options, handler) => add('PUT', path, options, handler),
+    patch: (path, options, handler) => add('PATCH', path, options, handler),
+    delete: (path, options, handler) => add('DELETE', path, options, handler),
+    handle
+  };
 }
 
-function parseJsonBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', (chunk) => { body += chunk; });
-    req.on('end', () => {
-      try {
-        resolve(JSON.parse(body || '{}'));
-      } catch (_) {
-        resolve({});
-      }
+// Reuse the caller's request id (from an ingress or another service) when it looks sane,
+// and write one access log line per request once the response is done
+function requestLogging(req, res, next) {
+  const incomingId = String(req.headers['x-request-id'] || '');
+  const requestId = /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = log.child({ requestId });
+  res.setHeader('X-Request-Id', requestId);
+
+  const requestStart = process.hrtime.bigint();
+  const socketBytesAtStart = req.socket.bytesWritten;
+  res.once('close', () => {
+    const seconds = Number(process.hrtime.bigint() - requestStart) / 1e9;
+    // The path is logged without its query string, which can hold signed URL parameters
+    req.log.info('request', {
+      method: req.method,
+      route: req.routePath || 'unmatched',
+      path: req.pathname,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000 * 10) / 10,
+      bytes: req.socket.bytesWritten - socketBytesAtStart,
+      userId: req.user ? req.user.id : undefined,
+      completed: res.writableFinished
     });
   });
+  return next();
 }
 
-function parseMultipart(req, uploadHandler) {
-  return new Promise((resolve, reject) => {
-    uploadHandler(req, {}, (err) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve();
-      }
-    });
+// Requests are labelled by route template rather than path, so ids don't explode metric cardinality
+function requestMetrics(req, res, next) {
+  const requestStart = process.hrtime.bigint();
+  res.once('close', () => {
+    const labels = { route: req.routePath || 'unmatched', method: req.method, status: String(res.statusCode) };
+    metrics.requests.inc(labels);
+    metrics.requestDuration.observe(labels, Number(process.hrtime.bigint() - requestStart) / 1e9);
   });
+  return next();
+}
+
+function cors(req, res, next) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, If-Range, If-None-Match, If-Modified-Since, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges, Retry-After, ETag, Last-Modified, X-Request-Id');
+
+  if (req.method === 'OPTIONS') {
+    return sendText(res, 200, 'OK');
+  }
+  return next();
 }
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url, `http://localhost:${port}`);
-  const pathname = url.pathname;
-  metrics.requests += 1;
+const router = createRouter();
+router.use(requestLogging);
+router.use(requestMetrics);
+router.use(cors);
+
+// Serve main page
+router.get('/', { auth: 'public' }, (req, res) => sendHtml(res, renderIndexPage()));
+
+router.get('/api/openapi.json', { auth: 'public' }, (req, res) => sendJson(res, 200, openApiSpec));
+
+router.get('/api/docs', { auth: 'public' }, (req, res) => sendHtml(res, renderDocsPage()));
+
+// Authentication endpoints
+router.post('/api/auth/login', { auth: 'public' }, async (req, res) => {
+  const { username, password } = await parseJsonBody(req);
+  const ip = clientIp(req);
+  const userKey = String(username || '').toLowerCase();
+  const throttled = 'Too many failed login attempts. Try again later.';
+
+  const retryAfterMs = Math.max(loginIpThrottle.check(ip), loginUserThrottle.check(userKey));
+  if (retryAfterMs > 0) {
+    req.log.warn('Login throttled', { username: userKey, ip, retryAfterMs });
+    return sendTooManyRequests(res, retryAfterMs, throttled);
+  }
+
+  try {
+    const user = await dbGet(`SELECT *, (julianday(locked_until) - julianday('now')) * 86400 AS locked_seconds
+                              FROM users WHERE username = ?`, [String(username || '')]);
+    const locked = Boolean(user && user.locked_seconds > 0);
+
+    const valid = bcrypt.compareSync(String(password || ''), user ? user.password : dummyPasswordHash);
+    if (!user || !valid) {
+      loginIpThrottle.fail(ip);
+      loginUserThrottle.fail(userKey);
+      if (user && !locked) {
+        // Lock the account once it reaches the threshold, and start counting again
+        await dbRun(`UPDATE users SET
+                       locked_until = CASE WHEN failed_logins + 1 >= ? THEN datetime('now', ?) ELSE locked_until END,
+                       failed_logins = CASE WHEN failed_logins + 1 >= ? THEN 0 ELSE failed_logins + 1 END
+                     WHERE id = ?`,
+          [lockoutThreshold, `+${lockoutMinutes} minutes`, lockoutThreshold, user.id]);
+        if (user.failed_logins + 1 >= lockoutThreshold) {
+          req.log.warn('Account locked after repeated failed logins', { username: userKey, userId: user.id, ip, minutes: lockoutMinutes });
+        }
+      }
+      req.log.warn('Login failed', { username: userKey, ip, reason: user ? 'wrong password' : 'unknown user', locked });
+      return sendJson(res, 401, { error: 'Invalid credentials' });
+    }
+    // Only reported after a correct password, so it doesn't reveal which accounts exist
+    if (locked) {
+      req.log.warn('Login refused for locked account', { username: userKey, userId: user.id, ip });
+      return sendTooManyRequests(res, user.locked_seconds * 1000, throttled);
+    }
+
+    loginIpThrottle.reset(ip);
+    loginUserThrottle.reset(userKey);
+    // Only reported after a correct password, so it doesn't reveal which accounts exist
+    if (user.disabled) {
+      req.log.warn('Login refused for disabled account', { username: userKey, userId: user.id, ip });
+      return sendJson(res, 403, { error: 'Account disabled' });
+    }
+    await dbRun('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?', [user.id]);
+    req.log.info('Login succeeded', { userId: user.id, ip });
+    return sendJson(res, 200, await createSession(user, req));
+  } catch (err) {
+    return sendServerError(req, res, err);
+  }
+});
+
+router.post('/api/auth/register', { auth: 'public' }, async (req, res) => {
+  const retryAfterMs = registerRateLimit.hit(clientIp(req));
+  if (retryAfterMs > 0) {
+    req.log.warn('Registration rate limited', { ip: clientIp(req) });
+    return sendTooManyRequests(res, retryAfterMs, 'Too many registrations from this address. Try again later.');
+  }
+
+  try {
+    if (!(await isRegistrationOpen())) {
+      return sendJson(res, 403, { error: 'Registration is closed' });
+    }
+  } catch (err) {
+    return sendServerError(req, res, err);
+  }
 
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  const { username, password } = await parseJsonBody(req);
 
-  if (req.method === 'OPTIONS') {
-    return sendText(res, 200, 'OK');
+  if (!username || !password) {
+    return sendJson(res, 400, { error: 'Username and password required' });
   }
 
-  // Serve main page
-  if (req.method === 'GET' && pathname === '/') {
-    return sendHtml(res, renderIndexPage());
+  const policyError = validateCredentials(username, password);
+  if (policyError) {
+    return sendJson(res, 400, { error: policyError });
   }
 
-  // Authentication endpoints
-  if (req.method === 'POST' && pathname === '/api/auth/login') {
-    const { username, password } = await parseJsonBody(req);
-    
-    db.get('SELECT * FROM users WHERE username = ?', [username], (err, user) => {
-      if (err || !user) {
-        return sendJson(res, 401, { error: 'Invalid credentials' });
-      }
-      
-      if (bcrypt.compareSync(password, user.password)) {
-        const token = jwt.sign(
-          { id: user.id, username: user.username, is_admin: user.is_admin },
-          jwtSecret,
-          { expiresIn: '24h' }
-        );
-        
-        sendJson(res, 200, {
-          token,
-          user: { id: user.id, username: user.username, is_admin: user.is_admin }
-        });
-      } else {
-        sendJson(res, 401, { error: 'Invalid credentials' });
+  const hashedPassword = bcrypt.hashSync(password, 10);
+  
+  db.run('INSERT INTO users (username, password) VALUES (?, ?)', 
+    [username, hashedPassword], function(err) {
+      if (err) {
+        return sendJson(res, 400, { error: 'Username already exists' });
       }
+      req.log.info('User registered', { userId: this.lastID, username });
+      sendJson(res, 200, { success: true });
     });
-    return;
+});
+
+// Public settings the login page needs before anyone signs in
+router.get('/api/auth/config', { auth: 'public' }, async (req, res) => {
+  try {
+    return sendJson(res, 200, { registrationOpen: await isRegistrationOpen() });
+  } catch (err) {
+    return sendServerError(req, res, err);
   }
+});
 
-  if (req.method === 'POST' && pathname === '/api/auth/register') {
-    const { username, password } = await parseJsonBody(req);
-    
-    if (!username || !password) {
-      return sendJson(res, 400, { error: 'Username and password required' });
+router.get('/api/auth/verify', (req, res) => {
+  const { id, username, is_admin } = req.user;
+  return sendJson(res, 200, { user: { id, username, is_admin } });
+});
+
+router.post('/api/auth/refresh', { auth: 'public' }, async (req, res) => {
+  const { refreshToken } = await parseJsonBody(req);
+  try {
+    const tokens = await refreshSession(refreshToken, req.log);
+    if (!tokens) {
+      return sendJson(res, 401, { error: 'Invalid refresh token' });
     }
-    
-    const hashedPassword = bcrypt.hashSync(password, 10);
-    
-    db.run('INSERT INTO users (username, password) VALUES (?, ?)', 
-      [username, hashedPassword], function(err) {
-        if (err) {
-          return sendJson(res, 400, { error: 'Username already exists' });
-        }
-        sendJson(res, 200, { success: true });
-      });
-    return;
+    return sendJson(res, 200, tokens);
+  } catch (err) {
+    return sendServerError(req, res, err);
   }
+});
 
-  if (req.method === 'GET' && pathname === '/api/auth/verify') {
-    const token = getTokenFromRequest(req);
-    const decoded = verifyToken(token);
-    
-    if (decoded) {
-      db.get('SELECT id, username, is_admin FROM users WHERE id = ?', [decoded.id], (err, user) => {
-        if (user) {
-          sendJson(res, 200, { user });
-        } else {
-          sendJson(res, 401, { error: 'User not found' });
-        }
-      });
-    } else {
-      sendJson(res, 401, { error: 'Invalid token' });
+// Logout revokes the session behind the access token, or behind the refresh token
+// when the access token has already expired
+router.post('/api/auth/logout', { auth: 'public' }, async (req, res) => {
+  const { refreshToken } = await parseJsonBody(req);
+  try {
+    const user = await authenticate(req);
+    const sessionId = user ? user.sid : String(refreshToken || '').split('.')[0];
+    if (sessionId) {
+      const session = await dbGet('SELECT refresh_token_hash FROM sessions WHERE id = ?', [sessionId]);
+      const secret = String(refreshToken || '').split('.')[1] || '';
+      if (session && (user || session.refresh_token_hash === hashToken(secret))) {
+        await revokeSession(sessionId);
+      }
     }
-    return;
+    return sendJson(res, 200, { success: true });
+  } catch (err) {
+    return sendServerError(req, res, err);
+  }
+});
+
+// Sessions: list your signed-in devices, sign one out, or sign out everywhere else
+router.get('/api/me/sessions', async (req, res) => {
+  const sessions = await dbAll(`SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+                                FROM sessions
+                                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+                                ORDER BY last_used_at DESC`, [req.user.id]);
+  return sendJson(res, 200, {
+    sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+  });
+});
+
+router.delete('/api/me/sessions', async (req, res) => {
+  const revoked = await dbAll(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+                               WHERE user_id = ? AND id != ? AND revoked_at IS NULL RETURNING id`,
+    [req.user.id, req.user.sid]);
+  endSessionStreams(revoked);
+  return sendJson(res, 200, { success: true, revoked: revoked.length });
+});
+
+router.delete('/api/me/sessions/:id', async (req, res) => {
+  const revoked = await dbAll(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+                               WHERE id = ? AND user_id = ? AND revoked_at IS NULL RETURNING id`,
+    [req.params.id, req.user.id]);
+  if (revoked.length === 0) {
+    return sendJson(res, 404, { error: 'Session not found' });
+  }
+  endSessionStreams(revoked);
+  return sendJson(res, 200, { success: true });
+});
+
+// Get tracks
+router.get('/api/tracks', async (req, res) => {
+  let query;
+  try {
+    query = buildTrackQuery(req.query, req.user.id);
+  } catch (err) {
+    return sendJson(res, err.status || 400, { error: err.message });
   }
 
-  // Protected routes - require authentication
-  const protectedRoutes = ['/api/tracks', '/api/event', '/api/stream/', '/api/cover/', '/api/admin/'];
-  const isProtected = protectedRoutes.some(route => pathname.startsWith(route));
+  db.all(query.sql, query.params, (err, rows) => {
+    if (err) {
+      return sendServerError(req, res, err);
+    }
+    const page = rows.slice(0, query.limit);
+    const last = page[page.length - 1];
+    const next = rows.length > query.limit ? encodeCursor(last.sort_value, last.id) : null;
+    const tracks = page.map(formatTrack);
+    sendCacheableJson(req, res, { tracks, next, env: appEnv, release });
+  });
+});
+
+// Live events as Server-Sent Events. The stream ends when the access token expires, so
+// clients reconnect with a fresh one instead of outliving a revoked session.
+const openEventStreams = new Set();
+const eventHeartbeatMs = 25000;
+
+router.get('/api/events/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keep nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = eventBus.subscribe((event) => {
+    if (event.type === 'session.revoked') {
+      if (event.data.sessionIds.includes(req.user.sid)) {
+        res.end();
+      }
+      return;
+    }
+    if (event.userId !== null && event.userId !== req.user.id) {
+      return;
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`);
+  });
+  // Comment lines keep idle connections from being dropped by proxies and load balancers
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), eventHeartbeatMs);
+  const expiry = setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0));
+
+  openEventStreams.add(res);
+  metrics.eventStreams.inc();
+  res.once('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    openEventStreams.delete(res);
+    metrics.eventStreams.dec();
+  });
+});
+
+// Stream music
+router.get('/api/stream/:id', { signedMedia: true }, (req, res) => {
+  const trackId = req.params.id;
   
-  if (isProtected) {
-    const token = getTokenFromRequest(req);
-    const decoded = verifyToken(token);
+  db.get('SELECT filename, mime_type FROM tracks WHERE id = ?', [trackId], (err, track) => {
+    if (err || !track) {
+      return sendJson(res, 404, { error: 'Track not found' });
+    }
     
-    if (!decoded) {
-      return sendJson(res, 401, { error: 'Authentication required' });
+    sendFile(req, res, `music/${track.filename}`, track.mime_type, (bytes) => {
+      metrics.streamedBytes.inc({ track_id: trackId }, bytes);
+    });
+  });
+});
+
+// Get cover image
+router.get('/api/cover/:id', { signedMedia: true }, (req, res) => {
+  const trackId = req.params.id;
+  
+  db.get('SELECT cover_filename, cover_mime_type FROM tracks WHERE id = ?', [trackId], (err, track) => {
+    if (err || !track || !track.cover_filename) {
+      return sendJson(res, 404, { error: 'Cover not found' });
     }
     
-    req.user = decoded;
+    sendFile(req, res, `covers/${track.cover_filename}`, track.cover_mime_type);
+  });
+});
+
+// Event tracking
+router.post('/api/event', async (req, res) => {
+  const payload = await parseJsonBody(req);
+  if (!playEventTypes.includes(payload.type) || typeof payload.trackId !== 'string') {
+    return sendJson(res, 400, { error: `type must be one of ${playEventTypes.join(', ')} and trackId is required` });
   }
 
-  // Get tracks
-  if (req.method === 'GET' && pathname === '/api/tracks') {
-    db.all('SELECT * FROM tracks ORDER BY created_at DESC', (err, tracks) => {
+  const position = Number(payload.position);
+  const client = [payload.client, req.headers['user-agent']].filter(Boolean).join(' | ').slice(0, 255) || null;
+
+  db.run(`INSERT INTO play_events (user_id, track_id, type, position, client)
+          SELECT ?, id, ?, ?, ? FROM tracks WHERE id = ?`,
+    [req.user.id, payload.type, Number.isFinite(position) && position >= 0 ? position : null, client, payload.trackId],
+    function(err) {
       if (err) {
-        return sendJson(res, 500, { error: 'Database error' });
+        return sendServerError(req, res, err);
       }
-      sendJson(res, 200, { tracks, env: appEnv, release });
+      if (!this.changes) {
+        return sendJson(res, 404, { error: 'Track not found' });
+      }
+      if (payload.type === 'play') metrics.plays.inc();
+      if (payload.type === 'skip') metrics.skips.inc();
+      if (payload.type === 'partial') metrics.partials.inc();
+      if (payload.type === 'complete') metrics.completions.inc();
+      sendJson(res, 200, { ok: true });
     });
-    return;
+});
+
+// Listening history
+router.get('/api/me/history', async (req, res) => {
+  const type = req.query.get('type') || 'play';
+  const limit = req.query.has('limit') ? Number(req.query.get('limit')) : 50;
+  const before = req.query.has('before') ? Number(req.query.get('before')) : null;
+
+  if (type !== 'all' && !playEventTypes.includes(type)) {
+    return sendJson(res, 400, { error: `type must be all or one of ${playEventTypes.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return sendJson(res, 400, { error: 'limit must be an integer between 1 and 200' });
+  }
+  if (before !== null && !Number.isInteger(before)) {
+    return sendJson(res, 400, { error: 'before must be an event id' });
   }
 
-  // Stream music
-  if (req.method === 'GET' && pathname.startsWith('/api/stream/')) {
-    const trackId = pathname.split('/')[3];
-    
-    db.get('SELECT filename FROM tracks WHERE id = ?', [trackId], (err, track) => {
-      if (err || !track) {
-        return sendJson(res, 404, { error: 'Track not found' });
-      }
-      
-      const filePath = path.join(musicDir, track.filename);
-      sendFile(res, filePath, 'audio/mpeg');
+  const where = ['play_events.user_id = ?'];
+  const params = [req.user.id];
+  if (type !== 'all') {
+    where.push('play_events.type = ?');
+    params.push(type);
+  }
+  if (before !== null) {
+    where.push('play_events.id < ?');
+    params.push(before);
+  }
+
+  db.all(`SELECT play_events.id AS event_id, play_events.type, play_events.position,
+                 play_events.created_at AS played_at, tracks.*, ${trackStatsSql}
+          FROM play_events
+          JOIN tracks ON tracks.id = play_events.track_id
+          WHERE ${where.join(' AND ')}
+          ORDER BY play_events.id DESC
+          LIMIT ?`, [req.user.id, ...params, limit + 1], (err, rows) => {
+    if (err) {
+      return sendServerError(req, res, err);
+    }
+    const history = rows.slice(0, limit).map(formatTrack);
+    const next = rows.length > limit ? history[history.length - 1].event_id : null;
+    sendJson(res, 200, { history, next });
+  });
+});
+
+// Liked songs
+router.get('/api/me/likes', async (req, res) => {
+  const limit = req.query.has('limit') ? Number(req.query.get('limit')) : 50;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return sendJson(res, 400, { error: 'limit must be an integer between 1 and 200' });
+  }
+
+  const where = ['user_likes.user_id = ?'];
+  const params = [req.user.id];
+  const cursorParam = req.query.get('cursor');
+  if (cursorParam) {
+    const cursor = decodeCursor(cursorParam);
+    if (!cursor) {
+      return sendJson(res, 400, { error: 'Invalid cursor' });
+    }
+    where.push('(user_likes.created_at < ? OR (user_likes.created_at = ? AND tracks.id < ?))');
+    params.push(cursor[0], cursor[0], cursor[1]);
+  }
+
+  db.all(`SELECT tracks.*, ${trackStatsSql}, user_likes.created_at AS liked_at
+          FROM user_likes
+          JOIN tracks ON tracks.id = user_likes.track_id
+          WHERE ${where.join(' AND ')}
+          ORDER BY user_likes.created_at DESC, tracks.id DESC
+          LIMIT ?`, [req.user.id, ...params, limit + 1], (err, rows) => {
+    if (err) {
+      return sendServerError(req, res, err);
+    }
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const next = rows.length > limit ? encodeCursor(last.liked_at, last.id) : null;
+    sendJson(res, 200, { tracks: page.map(formatTrack), next });
+  });
+});
+
+// Short-lived signed URLs for the player's <audio> src and cover image
+router.get('/api/tracks/:id/stream-url', async (req, res) => {
+  const trackId = req.params.id;
+  try {
+    const track = await dbGet('SELECT id, cover_filename FROM tracks WHERE id = ?', [trackId]);
+    if (!track) {
+      return sendJson(res, 404, { error: 'Track not found' });
+    }
+    return sendJson(res, 200, {
+      url: signedMediaUrl(`/api/stream/${track.id}`, req.user.sid),
+      coverUrl: track.cover_filename ? signedMediaUrl(`/api/cover/${track.id}`, req.user.sid) : null,
+      expiresIn: mediaUrlTtlSeconds
     });
-    return;
+  } catch (err) {
+    return sendServerError(req, res, err);
   }
+});
 
-  // Get cover image
-  if (req.method === 'GET' && pathname.startsWith('/api/cover/')) {
-    const trackId = pathname.split('/')[3];
-    
-    db.get('SELECT cover_filename FROM tracks WHERE id = ?', [trackId], (err, track) => {
-      if (err || !track || !track.cover_filename) {
-        return sendJson(res, 404, { error: 'Cover not found' });
+// Like or unlike a track
+function setLike(req, res) {
+  const trackId = req.params.id;
+
+  db.get('SELECT id FROM tracks WHERE id = ?', [trackId], (err, track) => {
+    if (err) {
+      return sendServerError(req, res, err);
+    }
+    if (!track) {
+      return sendJson(res, 404, { error: 'Track not found' });
+    }
+
+    const sql = req.method === 'PUT'
+      ? 'INSERT OR IGNORE INTO user_likes (user_id, track_id) VALUES (?, ?)'
+      : 'DELETE FROM user_likes WHERE user_id = ? AND track_id = ?';
+    db.run(sql, [req.user.id, track.id], (err) => {
+      if (err) {
+        return sendServerError(req, res, err);
       }
-      
-      const filePath = path.join(coversDir, track.cover_filename);
-      sendFile(res, filePath, 'image/jpeg');
+      db.get('SELECT COUNT(*) AS like_count FROM user_likes WHERE track_id = ?', [track.id], (err, row) => {
+        if (err) {
+          return sendServerError(req, res, err);
+        }
+        sendJson(res, 200, { liked: req.method === 'PUT', like_count: row.like_count });
+      });
     });
-    return;
-  }
+  });
+}
 
-  // Event tracking
-  if (req.method === 'POST' && pathname === '/api/event') {
-    const payload = await parseJsonBody(req);
-    if (payload.type === 'play') metrics.plays += 1;
-    if (payload.type === 'skip') metrics.skips += 1;
-    return sendJson(res, 200, { ok: true });
-  }
+router.put('/api/tracks/:id/like', setLike);
+router.delete('/api/tracks/:id/like', setLike);
+
+// Artists and albums
+router.get('/api/artists', listArtists);
+router.get('/api/artists/:id', getArtist);
+router.get('/api/albums/:id', getAlbum);
+
+// Playlists
+router.get('/api/playlists', listPlaylists);
+router.post('/api/playlists', createPlaylist);
+router.put('/api/playlists', reorderPlaylists);
+router.get('/api/playlists/:id', getPlaylist);
+router.put('/api/playlists/:id', renamePlaylist);
+router.patch('/api/playlists/:id', renamePlaylist);
+router.delete('/api/playlists/:id', deletePlaylist);
+router.get('/api/playlists/:id/tracks', getPlaylist);
+router.post('/api/playlists/:id/tracks', addPlaylistTrack);
+router.put('/api/playlists/:id/tracks', reorderPlaylistTracks);
+router.delete('/api/playlists/:id/tracks/:trackId', removePlaylistTrack);
 
-  // Admin upload
-  if (req.method === 'POST' && pathname === '/api/admin/upload') {
-    if (!req.user.is_admin) {
-      return sendJson(res, 403, { error: 'Admin access required' });
+// Admin upload
+router.post('/api/admin/upload', { auth: 'admin' }, async (req, res) => {
+  try {
+    await parseMultipart(req, upload.fields([
+      { name: 'music', maxCount: 1 },
+      { name: 'cover', maxCount: 1 }
+    ]));
+
+    const trackId = uuidv4();
+    const musicFile = req.files.music ? req.files.music[0] : null;
+    const coverFile = req.files.cover ? req.files.cover[0] : null;
+
+    if (!musicFile) {
+      removeUploadedFiles(req.files);
+      return sendJson(res, 400, { error: 'Missing required fields' });
     }
 
     try {
-      await parseMultipart(req, upload.fields([
-        { name: 'music', maxCount: 1 },
-        { name: 'cover', maxCount: 1 }
-      ]));
+      await identifyUpload(musicFile, 'music');
+      if (coverFile) await identifyUpload(coverFile, 'covers');
+    } catch (err) {
+      removeUploadedFiles(req.files);
+      req.log.warn('Upload rejected', { error: err.message });
+      return sendJson(res, err.status || 500, { error: err.message });
+    }
+
+    // Form fields win; embedded tags fill in whatever was left blank
+    const meta = await extractAudioMetadata(musicFile.path);
+    const title = (req.body.title || '').trim() || meta.title;
+    const artist = (req.body.artist || '').trim() || meta.artist;
 
-      const trackId = uuidv4();
-      const title = req.body.title;
-      const artist = req.body.artist;
-      const musicFile = req.files.music ? req.files.music[0] : null;
-      const coverFile = req.files.cover ? req.files.cover[0] : null;
+    if (!title || !artist) {
+      removeUploadedFiles(req.files);
+      return sendJson(res, 400, { error: 'Missing required fields' });
+    }
 
-      if (!title || !artist || !musicFile) {
-        return sendJson(res, 400, { error: 'Missing required fields' });
+    let coverFilename = coverFile ? coverFile.filename : null;
+    let coverMimeType = coverFile ? coverFile.detectedType : null;
+    try {
+      await storeUploadedFile(musicFile, 'music');
+      if (coverFile) {
+        await storeUploadedFile(coverFile, 'covers');
+      } else if (meta.picture) {
+        const embedded = await saveEmbeddedCover(meta.picture);
+        if (embedded) {
+          coverFilename = embedded.filename;
+          coverMimeType = embedded.mimeType;
+        }
       }
+    } catch (err) {
+      removeUploadedFiles(req.files);
+      removeStoredFile('music', musicFile.filename);
+      return sendServerError(req, res, err, 'Storage unavailable', 502);
+    }
 
-      db.run(`INSERT INTO tracks (id, title, artist, filename, cover_filename, uploaded_by) 
-              VALUES (?, ?, ?, ?, ?, ?)`, 
-        [trackId, title, artist, musicFile.filename, 
-         coverFile ? coverFile.filename : null, req.user.id], 
-        function(err) {
-          if (err) {
-            return sendJson(res, 500, { error: 'Database error' });
-          }
-          metrics.uploads += 1;
-          sendJson(res, 200, { success: true, trackId });
-        });
+    let linked;
+    try {
+      linked = await linkArtistAlbum(artist, meta.album, meta.year);
     } catch (err) {
-      sendJson(res, 400, { error: err.message });
+      removeStoredFile('music', musicFile.filename);
+      removeStoredFile('covers', coverFilename);
+      return sendServerError(req, res, err);
     }
-    return;
+
+    try {
+      await dbRun(`INSERT INTO tracks (id, title, artist, filename, mime_type, file_size, cover_filename,
+              cover_mime_type, duration, bitrate, album, track_number, disc_number, year, genre, uploaded_by,
+              artist_id, album_id)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [trackId, title, artist, musicFile.filename, musicFile.detectedType, musicFile.size,
+         coverFilename, coverMimeType,
+         meta.duration, meta.bitrate, meta.album, meta.trackNumber, meta.discNumber, meta.year, meta.genre,
+         req.user.id, linked.artistId, linked.albumId]);
+    } catch (err) {
+      removeStoredFile('music', musicFile.filename);
+      removeStoredFile('covers', coverFilename);
+      return sendServerError(req, res, err);
+    }
+    try {
+      await applyCommonSpellings([linked.artistId], [linked.albumId]);
+    } catch (err) {
+      return sendServerError(req, res, err);
+    }
+
+    metrics.uploads.inc();
+    metrics.uploadSize.observe({ field: 'music' }, musicFile.size);
+    if (coverFile) {
+      metrics.uploadSize.observe({ field: 'cover' }, coverFile.size);
+    }
+    req.log.info('Track uploaded', { trackId, userId: req.user.id, mimeType: musicFile.detectedType, size: musicFile.size });
+    publishTrackEvent('track.added', trackId);
+    sendJson(res, 200, { success: true, trackId });
+  } catch (err) {
+    req.log.warn('Upload rejected', { error: err.message });
+    sendJson(res, err.status || 400, { error: err.message }, err.headers);
   }
+});
 
-  // Health endpoints
-  if (pathname === '/healthz') {
-    return sendText(res, 200, 'ok');
+// Admin bulk import from a ZIP archive
+router.post('/api/admin/import', { auth: 'admin' }, async (req, res) => {
+  try {
+    await parseMultipart(req, importUpload.single('archive'));
+  } catch (err) {
+    req.log.warn('Import rejected', { error: err.message });
+    return sendJson(res, err.status || 400, { error: err.message }, err.headers);
+  }
+  if (!req.file) {
+    return sendJson(res, 400, { error: 'Missing archive file' });
   }
 
-  if (pathname === '/readyz') {
-    return sendText(res, 200, 'ready');
+  let zip;
+  try {
+    zip = await openZipEntries(req.file.path);
+  } catch (err) {
+    fs.unlink(req.file.path, () => {});
+    req.log.warn('Import rejected', { error: err.message });
+    return sendJson(res, 415, { error: `archive file "${req.file.originalname}" is not a readable ZIP archive` });
+  }
+  try {
+    const report = await importEntries(zip.entries, req.user.id, req.log);
+    sendJson(res, 200, report);
+  } finally {
+    zip.close();
+    fs.unlink(req.file.path, () => {});
   }
+});
+
+// Admin track management
+router.put('/api/admin/tracks/:id', { auth: 'admin' }, updateTrack);
+router.patch('/api/admin/tracks/:id', { auth: 'admin' }, updateTrack);
+router.delete('/api/admin/tracks/:id', { auth: 'admin' }, deleteTrack);
+
+// Admin user management
+router.get('/api/admin/users', { auth: 'admin' }, listUsers);
+router.get('/api/admin/users/:id', { auth: 'admin' }, getUser);
+router.put('/api/admin/users/:id', { auth: 'admin' }, updateUser);
+router.patch('/api/admin/users/:id', { auth: 'admin' }, updateUser);
+router.delete('/api/admin/users/:id', { auth: 'admin' }, deleteUser);
+router.post('/api/admin/users/:id/reset-password', { auth: 'admin' }, resetUserPassword);
 
-  // Metrics endpoint
-  if (pathname === '/metrics') {
-    const uptimeSeconds = ((Date.now() - startedAt) / 1000).toFixed(0);
-    const metricsText = [
-      `app_requests_total ${metrics.requests}`,
-      `app_track_plays_total ${metrics.plays}`,
-      `app_track_skips_total ${metrics.skips}`,
-      `app_track_uploads_total ${metrics.uploads}`,
-      `app_uptime_seconds ${uptimeSeconds}`
-    ].join('\n');
-    return sendText(res, 200, metricsText, { 'Content-Type': 'text/plain; version=0.0.4' });
+// Admin settings
+async function sendSettings(req, res) {
+  return sendJson(res, 200, { registrationOpen: await isRegistrationOpen() });
+}
+
+async function updateSettings(req, res) {
+  const { registrationOpen } = await parseJsonBody(req);
+  if (typeof registrationOpen !== 'boolean') {
+    return sendJson(res, 400, { error: 'registrationOpen must be true or false' });
   }
+  await setSetting('registration_open', String(registrationOpen));
+  return sendSettings(req, res);
+}
 
-  return sendJson(res, 404, { error: 'not found', path: pathname });
-});
+router.get('/api/admin/settings', { auth: 'admin' }, sendSettings);
+router.put('/api/admin/settings', { auth: 'admin' }, updateSettings);
+router.patch('/api/admin/settings', { auth: 'admin' }, updateSettings);
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('Shutting down server...');
-  db.close();
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+// Health endpoints
+router.get('/healthz', { auth: 'public' }, (req, res) => sendText(res, 200, 'ok'));
+
+router.get('/readyz', { auth: 'public' }, async (req, res) => {
+  const readiness = await checkReadiness();
+  return sendJson(res, readiness.ok ? 200 : 503, {
+    status: !readiness.ok ? 'not ready' : (readiness.degraded ? 'degraded' : 'ready'),
+    checks: readiness.checks
   });
 });
 
-server.listen(port, () => {
-  console.log(`Server listening on port ${port} (env=${appEnv}, release=${release})`);
-  console.log(`Admin login: ${adminUsername}/${adminPassword}`);
+// Metrics endpoint
+router.get('/metrics', { auth: 'public' }, async (req, res) => {
+  const metricsText = await promClient.register.metrics();
+  return sendText(res, 200, metricsText, { 'Content-Type': promClient.register.contentType });
+});
+
+const server = http.createServer((req, res) => {
+  inFlightRequests += 1;
+  res.once('close', () => {
+    inFlightRequests -= 1;
+  });
+  if (shuttingDown) {
+    res.setHeader('Connection', 'close');
+  }
+  router.handle(req, res);
 });
+
+// Graceful shutdown: fail readiness, stop accepting connections, let in-flight
+// requests (including long audio streams) finish, then close the database
+function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  log.info('Shutting down server', { signal });
+
+  // Give the Service time to drop this pod from its endpoints before refusing connections
+  setTimeout(() => {
+    server.close(() => {
+      log.info('Server closed');
+      eventBus.close()
+        .catch(err => log.warn('Failed to close the event bus', { error: err.message }))
+        .finally(() => db.close(() => process.exit(0)));
+    });
+    server.closeIdleConnections();
+    // Event streams never finish on their own; clients reconnect to another replica
+    for (const stream of openEventStreams) {
+      stream.end();
+    }
+
+    if (inFlightRequests > 0) {
+      log.info('Waiting for in-flight requests', { inFlightRequests, timeoutMs: shutdownTimeoutMs });
+    }
+    setTimeout(() => {
+      log.warn('Shutdown timeout reached, closing remaining requests', { inFlightRequests });
+      server.closeAllConnections();
+    }, shutdownTimeoutMs).unref();
+  }, signal === 'SIGTERM' ? shutdownDelayMs : 0);
+}
+
+function startServer() {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  server.listen(port, () => {
+    log.info('Server listening', { port, env: appEnv, release, storage: storage.name, adminUser: adminUsername });
+    if (!process.env.ADMIN_PASSWORD) {
+      log.warn('ADMIN_PASSWORD is not set, so the admin account uses the built-in default password. Set ADMIN_PASSWORD before exposing this server.');
+    }
+  });
+}
+
+// Command-line interface: `node app.js <command> [args]` runs against the same config,
+// database and storage as the server, prints its result as JSON on stdout and exits
+// non-zero on failure. Logs go to stderr.
+
+// Split arguments into positionals and `--name[=value]` options
+function parseCommandArgs(args) {
+  const positional = [];
+  const options = {};
+  for (const arg of args) {
+    const match = /^--([a-z][a-z-]*)(?:=(.*))?$/.exec(arg);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+// The password for `user create` and `user reset-password`: from --password, the first
+// line of stdin with --password-stdin (keeps it out of the process list), or generated
+async function commandPassword(options) {
+  if (options['password-stdin']) {
+    return { password: (await readStdin()).split(/\r?\n/)[0], generated: false };
+  }
+  if (typeof options.password === 'string') {
+    return { password: options.password, generated: false };
+  }
+  return { password: generatePassword(), generated: true };
+}
+
+async function findUserByName(username) {
+  const user = await dbGet(`SELECT ${adminUserColumns} FROM users WHERE username = ?`, [username]);
+  if (!user) {
+    throw new Error(`User "${username}" not found`);
+  }
+  return user;
+}
+
+async function listUsersCommand() {
+  const users = await dbAll(`SELECT ${adminUserColumns} FROM users ORDER BY username COLLATE NOCASE`);
+  return { users: users.map(formatAdminUser) };
+}
+
+async function createUserCommand([username], options) {
+  const { password, generated } = await commandPassword(options);
+  const policyError = validateCredentials(username, password);
+  if (policyError) {
+    throw new Error(policyError);
+  }
+  if (await dbGet('SELECT id FROM users WHERE username = ?', [username])) {
+    throw new Error(`User "${username}" already exists`);
+  }
+  const { lastID } = await dbRun('INSERT INTO users (username, password, is_admin) VALUES (?, ?, ?)',
+    [username, bcrypt.hashSync(password, 10), options.admin ? 1 : 0]);
+  log.info('User created from the command line', { userId: lastID, isAdmin: Boolean(options.admin) });
+  const user = await dbGet(`SELECT ${adminUserColumns} FROM users WHERE id = ?`, [lastID]);
+  return { user: formatAdminUser(user), ...(generated && { password }) };
+}
+
+async function resetPasswordCommand([username], options) {
+  const user = await findUserByName(username);
+  const { password, generated } = await commandPassword(options);
+  const policyError = validateCredentials(user.username, password);
+  if (policyError) {
+    throw new Error(policyError);
+  }
+  await setUserPassword(user.id, password);
+  log.info('Password reset from the command line', { userId: user.id, generated });
+  return { success: true, username: user.username, ...(generated && { password }) };
+}
+
+async function promoteUserCommand([username]) {
+  const user = await findUserByName(username);
+  await dbRun('UPDATE users SET is_admin = 1 WHERE id = ?', [user.id]);
+  log.info('User promoted from the command line', { userId: user.id });
+  return { user: formatAdminUser({ ...user, is_admin: 1 }) };
+}
+
+async function listTracksCommand() {
+  const tracks = await dbAll(`SELECT id, title, artist, album, artist_id, album_id, disc_number, track_number, year,
+                              genre, duration, mime_type, file_size, created_at
+                              FROM tracks ORDER BY artist COLLATE NOCASE, album COLLATE NOCASE, ${albumTrackOrderSql}`);
+  return { tracks };
+}
+
+async function deleteTrackCommand([id]) {
+  const track = await dbGet('SELECT * FROM tracks WHERE id = ?', [id]);
+  if (!track) {
+    throw new Error(`Track "${id}" not found`);
+  }
+  await removeTrack(track);
+  log.info('Track deleted from the command line', { trackId: track.id });
+  return { success: true, trackId: track.id };
+}
+
+async function vacuumCommand() {
+  const before = (await fs.promises.stat(dbFile)).size;
+  await dbRun('VACUUM');
+  const after = (await fs.promises.stat(dbFile)).size;
+  return { success: true, sizeBefore: before, sizeAfter: after };
+}
+
+async function checkDatabaseCommand() {
+  const integrity = (await dbAll('PRAGMA integrity_check')).map(row => row.integrity_check);
+  const foreignKeyViolations = await dbAll('PRAGMA foreign_key_check');
+  const ok = integrity.length === 1 && integrity[0] === 'ok' && foreignKeyViolations.length === 0;
+  return { ok, integrity, foreignKeyViolations };
+}
+
+// Remove stored files that no track refers to, such as leftovers from failed uploads.
+// Recent files are kept: an upload stores its files before inserting the track.
+async function collectStorageGarbage(args, options) {
+  const minAgeMinutes = options['min-age'] === undefined ? 60 : Number(options['min-age']);
+  if (!Number.isFinite(minAgeMinutes) || minAgeMinutes < 0) {
+    throw new Error('--min-age must be a number of minutes');
+  }
+  const stored = [...await storage.list('music/'), ...await storage.list('covers/')];
+  const tracks = await dbAll('SELECT filename, cover_filename FROM tracks');
+  const referenced = new Set(tracks.flatMap(track => [`music/${track.filename}`, `covers/${track.cover_filename}`]));
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const orphans = stored.filter(item => !referenced.has(item.key) && item.lastModified.getTime() < cutoff);
+
+  if (!options['dry-run']) {
+    for (const item of orphans) {
+      await storage.remove(item.key);
+    }
+    log.info('Removed unreferenced files from storage', { count: orphans.length, storage: storage.name });
+  }
+  return {
+    dryRun: Boolean(options['dry-run']),
+    scanned: stored.length,
+    orphaned: orphans.length,
+    bytes: orphans.reduce((total, item) => total + item.size, 0),
+    keys: orphans.map(item => item.key)
+  };
+}
+
+async function importCommand([dir]) {
+  const root = path.resolve(dir);
+  const stat = await fs.promises.stat(root);
+  if (!stat.isDirectory()) {
+    throw new Error(`${dir} is not a directory`);
+  }
+  return importEntries(await listImportDirectory(root), null, log);
+}
+
+// `args` is the number of positional arguments; `failed` marks a result that should exit 1
+const commands = {
+  help: { usage: 'help', run: () => ({ commands: commandUsage() }) },
+  import: { usage: 'import <dir>', args: 1, run: importCommand, failed: report => report.failed > 0 },
+  user: {
+    list: { usage: 'user list', run: listUsersCommand },
+    create: {
+      usage: 'user create <username> [--admin] [--password=<password> | --password-stdin]',
+      args: 1, options: ['admin', 'password', 'password-stdin'], run: createUserCommand
+    },
+    'reset-password': {
+      usage: 'user reset-password <username> [--password=<password> | --password-stdin]',
+      args: 1, options: ['password', 'password-stdin'], run: resetPasswordCommand
+    },
+    promote: { usage: 'user promote <username>', args: 1, run: promoteUserCommand }
+  },
+  track: {
+    list: { usage: 'track list', run: listTracksCommand },
+    delete: { usage: 'track delete <id>', args: 1, run: deleteTrackCommand }
+  },
+  db: {
+    // Migrations have already run by the time a command starts; this reports what they did
+    migrate: { usage: 'db migrate', run: (args, options, migration) => ({ success: true, ...migration }) },
+    vacuum: { usage: 'db vacuum', run: vacuumCommand },
+    check: { usage: 'db check', run: checkDatabaseCommand, failed: result => !result.ok }
+  },
+  storage: {
+    gc: { usage: 'storage gc [--dry-run] [--min-age=<minutes>]', options: ['dry-run', 'min-age'], run: collectStorageGarbage }
+  }
+};
+
+function commandUsage() {
+  return Object.values(commands)
+    .flatMap(command => (command.run ? [command] : Object.values(command)))
+    .map(command => `node app.js ${command.usage}`);
+}
+
+// Run a command line such as ['user', 'list']; resolves to the process exit code
+async function runCommand(argv, migration) {
+  const printJson = value => process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+  const [name, subcommand] = argv;
+  const group = commands[name];
+  const command = group && (group.run ? group : group[subcommand]);
+  if (!command) {
+    printJson({ error: `Unknown command "${argv.slice(0, group ? 2 : 1).join(' ')}"`, usage: commandUsage() });
+    return 1;
+  }
+
+  const { positional, options } = parseCommandArgs(argv.slice(group.run ? 1 : 2));
+  const unknown = Object.keys(options).filter(option => !(command.options || []).includes(option));
+  if (positional.length !== (command.args || 0) || unknown.length > 0) {
+    printJson({ error: `Usage: node app.js ${command.usage}` });
+    return 1;
+  }
+  try {
+    const result = await command.run(positional, options, migration);
+    printJson(result);
+    return command.failed && command.failed(result) ? 1 : 0;
+  } catch (err) {
+    printJson({ error: err.message });
+    return 1;
+  }
+}
+
+// The tests in test/ require this file and drive these directly
+module.exports = {
+  db, dbGet, dbAll, dbRun, migrations, migrateDatabase, seedAdminUser, server,
+  eventBus, publishEvent, publishTrackEvent, notifyUser, flushEvents, parseRange, sniffMediaType,
+  validateSchema
+};
+
+if (require.main === module) {
+  // Migrate before serving; `node app.js --migrate-only` stops after migrating (for init containers)
+  // and `node app.js <command>` runs one of the commands above instead
+  migrateDatabase()
+    .then(async ({ from, to, applied }) => {
+      log.info(applied > 0 ? 'Database schema migrated' : 'Database schema is up to date', { from, to });
+      if (migrateOnly) {
+        db.close(() => process.exit(0));
+        return;
+      }
+      if (cliCommand) {
+        const code = await runCommand(process.argv.slice(2), { from, to, applied });
+        // Let imports and deletions reach the event bus so connected players see them
+        await flushEvents();
+        await eventBus.close().catch(err => log.warn('Failed to close the event bus', { error: err.message }));
+        db.close(() => process.exit(code));
+        return;
+      }
+      await seedAdminUser();
+      startServer();
+    })
+    .catch(err => {
+      log.error('Database migration failed', { err });
+      db.close(() => process.exit(1));
+    });
+}
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login, createUser } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local', REGISTER_LIMIT_PER_HOUR: '100' });
+let base;
+let admin;
+
+test.before(async () => {
+  base = await startServer(app);
+  admin = await login(base, 'admin', 'admin123');
+});
+
+function adminCall(method, urlPath, body, session = admin) {
+  return request(base, method, `/api/admin/users${urlPath}`, { token: session.token, body });
+}
+
+test('is for admins only', async () => {
+  const member = await createUser(base, 'member', 'member-pass');
+  assert.equal((await adminCall('GET', '', undefined, member)).status, 403);
+  assert.equal((await adminCall('DELETE', `/${admin.user.id}`, undefined, member)).status, 403);
+});
+
+test('lists and filters users', async () => {
+  await createUser(base, 'filter_me', 'filter-pass');
+  const all = await adminCall('GET', '');
+  assert.equal(all.status, 200);
+  assert.ok(all.json.users.some(user => user.username === 'admin' && user.is_admin === true));
+
+  // _ is matched literally, not as a LIKE wildcard
+  const filtered = await adminCall('GET', '?q=r_m');
+  assert.deepEqual(filtered.json.users.map(user => user.username), ['filter_me']);
+  assert.equal((await adminCall('GET', '/999999')).status, 404);
+});
+
+test('won\'t let admins demote, disable or delete themselves', async () => {
+  for (const body of [{ is_admin: false }, { disabled: true }]) {
+    const response = await adminCall('PATCH', `/${admin.user.id}`, body);
+    assert.equal(response.status, 400);
+  }
+  assert.equal((await adminCall('DELETE', `/${admin.user.id}`)).status, 400);
+  assert.equal((await adminCall('PATCH', `/${admin.user.id}`, { is_admin: 'no' })).status, 400);
+  assert.equal((await adminCall('PATCH', `/${admin.user.id}`, {})).status, 400);
+});
+
+test('tokens issued before a promotion or demotion stop working', async () => {
+  const helper = await createUser(base, 'helper', 'helper-pass');
+  assert.equal((await adminCall('PATCH', `/${helper.user.id}`, { is_admin: true })).json.user.is_admin, true);
+  assert.equal((await adminCall('GET', '', undefined, helper)).status, 401);
+  const promoted = await login(base, 'helper', 'helper-pass');
+  assert.equal((await adminCall('GET', '', undefined, promoted)).status, 200);
+
+  await adminCall('PATCH', `/${helper.user.id}`, { is_admin: false });
+  assert.equal((await adminCall('GET', '', undefined, promoted)).status, 401);
+  const demoted = await login(base, 'helper', 'helper-pass');
+  assert.equal((await adminCall('GET', '', undefined, demoted)).status, 403);
+});
+
+test('disabling signs the user out and blocks sign-in', async () => {
+  const target = await createUser(base, 'to_disable', 'disable-pass');
+  const response = await adminCall('PATCH', `/${target.user.id}`, { disabled: true });
+  assert.equal(response.json.user.disabled, true);
+  assert.equal((await request(base, 'GET', '/api/playlists', { token: target.token })).status, 401);
+  const signIn = await request(base, 'POST', '/api/auth/login', { body: { username: 'to_disable', password: 'disable-pass' } });
+  assert.equal(signIn.status, 403);
+});
+
+test('resetting a password signs the user out', async () => {
+  const target = await createUser(base, 'forgetful', 'forgotten-pass');
+  const response = await adminCall('POST', `/${target.user.id}/reset-password`, {});
+  assert.equal(response.status, 200);
+  assert.equal(typeof response.json.password, 'string');
+  assert.equal((await request(base, 'GET', '/api/playlists', { token: target.token })).status, 401);
+  await login(base, 'forgetful', response.json.password);
+
+  assert.equal((await adminCall('POST', `/${target.user.id}/reset-password`, { password: 'short' })).status, 400);
+});
+
+test('deleting a user removes their data', async () => {
+  const target = await createUser(base, 'leaving', 'leaving-pass');
+  await request(base, 'POST', '/api/playlists', { token: target.token, body: { name: 'Mine' } });
+  assert.equal((await adminCall('DELETE', `/${target.user.id}`)).status, 200);
+  assert.equal((await request(base, 'GET', '/api/playlists', { token: target.token })).status, 401);
+  assert.equal(await app.dbGet('SELECT id FROM users WHERE id = ?', [target.user.id]), undefined);
+  assert.equal((await app.dbGet('SELECT COUNT(*) AS count FROM playlists WHERE user_id = ?', [target.user.id])).count, 0);
+  assert.equal((await adminCall('DELETE', `/${target.user.id}`)).status, 404);
+});
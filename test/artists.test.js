@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login, upload, taggedMp3 } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let token;
+
+test.before(async () => {
+  base = await startServer(app);
+  token = (await login(base, 'admin', 'admin123')).token;
+});
+
+async function uploadTrack(title, artist, album) {
+  const response = await upload(base, '/api/admin/upload', token,
+    { music: { data: taggedMp3({ title, artist, album }), name: `${title}.mp3`, type: 'audio/mpeg' } });
+  assert.equal(response.status, 200);
+  return response.json.trackId;
+}
+
+async function artistAndAlbum(trackId) {
+  return { ...(await app.dbGet(`SELECT artists.name, albums.title FROM tracks
+                                 JOIN artists ON artists.id = tracks.artist_id
+                                 JOIN albums ON albums.id = tracks.album_id
+                                 WHERE tracks.id = ?`, [trackId])) };
+}
+
+test('links spellings that differ in case to one artist and album named after the most common', async () => {
+  const first = await uploadTrack('One', 'daft punk', 'discovery');
+  assert.deepEqual(await artistAndAlbum(first), { name: 'daft punk', title: 'discovery' });
+
+  const second = await uploadTrack('Two', 'Daft Punk', 'Discovery');
+  // A tie goes to the earliest track's spelling
+  assert.deepEqual(await artistAndAlbum(second), { name: 'daft punk', title: 'discovery' });
+
+  const third = await uploadTrack('Three', 'Daft Punk', 'Discovery');
+  assert.deepEqual(await artistAndAlbum(first), { name: 'Daft Punk', title: 'Discovery' });
+  const artists = await request(base, 'GET', '/api/artists', { token });
+  assert.deepEqual(artists.json.artists.map(artist => [artist.name, artist.track_count]), [['Daft Punk', 3]]);
+
+  // The tracks keep their own text
+  const track = await app.dbGet('SELECT artist, album FROM tracks WHERE id = ?', [first]);
+  assert.deepEqual({ ...track }, { artist: 'daft punk', album: 'discovery' });
+
+  // Removing tracks can change which spelling is most common
+  await request(base, 'DELETE', `/api/admin/tracks/${third}`, { token });
+  await request(base, 'PATCH', `/api/admin/tracks/${second}`, { token, body: { artist: 'DAFT PUNK', album: 'DISCOVERY' } });
+  assert.deepEqual(await artistAndAlbum(first), { name: 'daft punk', title: 'discovery' });
+});
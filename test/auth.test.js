@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, createUser } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local', LOCKOUT_THRESHOLD: '3', TRUST_PROXY: 'true' });
+let base;
+
+test.before(async () => {
+  base = await startServer(app);
+});
+
+// Each test logs in from its own address so the per-IP throttle doesn't carry over
+function attempt(username, password, ip) {
+  return request(base, 'POST', '/api/auth/login', {
+    body: { username, password },
+    headers: { 'X-Forwarded-For': ip }
+  });
+}
+
+function summary(response) {
+  return { status: response.status, retryAfter: response.headers.get('retry-after'), body: response.json };
+}
+
+test('a locked account looks like an unknown one until the password is right', async () => {
+  await createUser(base, 'locked-out', 'right-password');
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await attempt('locked-out', 'wrong-password', '10.0.1.1')).status, 401);
+    assert.equal((await attempt('no-such-user', 'wrong-password', '10.0.1.2')).status, 401);
+  }
+  const user = await app.dbGet('SELECT locked_until FROM users WHERE username = ?', ['locked-out']);
+  assert.ok(user.locked_until);
+
+  const locked = await attempt('locked-out', 'wrong-password', '10.0.1.1');
+  const unknown = await attempt('no-such-user', 'wrong-password', '10.0.1.2');
+  assert.deepEqual(summary(locked), summary(unknown));
+  assert.deepEqual(summary(locked), { status: 401, retryAfter: null, body: { error: 'Invalid credentials' } });
+
+  const correct = await attempt('locked-out', 'right-password', '10.0.1.1');
+  assert.equal(correct.status, 429);
+  assert.ok(Number(correct.headers.get('retry-after')) > 60);
+});
+
+test('repeated failures are throttled the same for known and unknown usernames', async () => {
+  await createUser(base, 'throttled', 'right-password');
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await attempt('throttled', 'wrong-password', '10.0.2.1')).status, 401);
+    assert.equal((await attempt('also-unknown', 'wrong-password', '10.0.2.2')).status, 401);
+  }
+  const known = await attempt('throttled', 'right-password', '10.0.2.1');
+  const unknown = await attempt('also-unknown', 'wrong-password', '10.0.2.2');
+  assert.deepEqual(summary(known), summary(unknown));
+  assert.equal(known.status, 429);
+  assert.equal(known.headers.get('retry-after'), '1');
+});
+
+test('throttles each address after ten failures', async () => {
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await attempt(`user-${i}`, 'wrong-password', '10.0.3.1')).status, 401);
+  }
+  assert.equal((await attempt('admin', 'admin123', '10.0.3.1')).status, 429);
+  assert.equal((await attempt('admin', 'admin123', '10.0.3.2')).status, 200);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login, createUser, openEventStream, waitFor } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let admin;
+let listener;
+
+test.before(async () => {
+  base = await startServer(app);
+  admin = await login(base, 'admin', 'admin123');
+  listener = await createUser(base, 'listener', 'listening-pass');
+});
+
+async function insertTrack(id, title) {
+  await app.dbRun('INSERT INTO tracks (id, title, artist, filename) VALUES (?, ?, ?, ?)',
+    [id, title, 'Test Artist', `${id}.mp3`]);
+}
+
+test('track events reach subscribed streams', async () => {
+  const stream = await openEventStream(base, listener.token);
+  try {
+    await insertTrack('track-1', 'First Song');
+    app.publishTrackEvent('track.added', 'track-1');
+    const added = await stream.next('track.added');
+    assert.equal(added.data.track.id, 'track-1');
+    assert.equal(added.data.track.title, 'First Song');
+    assert.ok(added.data.time);
+
+    app.publishEvent('track.deleted', { track: { id: 'track-1' } });
+    const deleted = await stream.next('track.deleted');
+    assert.deepEqual(deleted.data.track, { id: 'track-1' });
+  } finally {
+    stream.close();
+  }
+});
+
+test('notifications only reach their user', async () => {
+  const adminStream = await openEventStream(base, admin.token);
+  const listenerStream = await openEventStream(base, listener.token);
+  try {
+    app.notifyUser(listener.user.id, 'Hello there');
+    // Sent after the notification, so once it arrives the notification would have too
+    app.publishEvent('track.deleted', { track: { id: 'marker' } });
+
+    const notification = await listenerStream.next('notification');
+    assert.equal(notification.data.message, 'Hello there');
+    await adminStream.next('track.deleted');
+    assert.equal(adminStream.events.some(event => event.type === 'notification'), false);
+  } finally {
+    adminStream.close();
+    listenerStream.close();
+  }
+});
+
+test('requires authentication', async () => {
+  const stream = await openEventStream(base, 'not-a-token');
+  assert.equal(stream.status, 401);
+});
+
+test('unsubscribes when the client disconnects', async () => {
+  const subscribe = app.eventBus.subscribe;
+  let active = 0;
+  app.eventBus.subscribe = (handler) => {
+    active += 1;
+    const unsubscribe = subscribe(handler);
+    return () => {
+      active -= 1;
+      unsubscribe();
+    };
+  };
+  try {
+    const stream = await openEventStream(base, listener.token);
+    assert.equal(active, 1);
+    stream.close();
+    await waitFor(() => active === 0);
+
+    // Publishing with nobody listening is fine
+    app.publishEvent('track.deleted', { track: { id: 'nobody' } });
+    await app.flushEvents();
+  } finally {
+    app.eventBus.subscribe = subscribe;
+  }
+});
+
+test('ends the streams of a session when it is revoked', { timeout: 5000 }, async () => {
+  const phone = await login(base, 'listener', 'listening-pass');
+  const laptop = await login(base, 'listener', 'listening-pass');
+  const phoneStream = await openEventStream(base, phone.token);
+  const laptopStream = await openEventStream(base, laptop.token);
+  try {
+    const phoneSession = phone.refreshToken.split('.')[0];
+    const response = await request(base, 'DELETE', `/api/me/sessions/${phoneSession}`, { token: laptop.token });
+    assert.equal(response.status, 200);
+    await phoneStream.closed;
+    assert.equal(phoneStream.ended, true);
+
+    // Other sessions carry on, and never see the revocation itself
+    app.publishEvent('track.deleted', { track: { id: 'after-revoke' } });
+    await laptopStream.next('track.deleted');
+    assert.equal(laptopStream.ended, false);
+    assert.equal(laptopStream.events.some(event => event.type === 'session.revoked'), false);
+
+    await request(base, 'POST', '/api/auth/logout', { token: laptop.token, body: {} });
+    await laptopStream.closed;
+  } finally {
+    phoneStream.close();
+    laptopStream.close();
+  }
+});
+
+test('ends a user\'s streams when an admin disables them', { timeout: 5000 }, async () => {
+  const user = await createUser(base, 'short-lived', 'short-lived-pass');
+  const stream = await openEventStream(base, user.token);
+  const adminStream = await openEventStream(base, admin.token);
+  try {
+    const response = await request(base, 'PATCH', `/api/admin/users/${user.user.id}`, { token: admin.token, body: { disabled: true } });
+    assert.equal(response.status, 200);
+    await stream.closed;
+    assert.equal(stream.ended, true);
+    assert.equal(adminStream.ended, false);
+  } finally {
+    stream.close();
+    adminStream.close();
+  }
+});
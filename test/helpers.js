@@ -0,0 +1,183 @@
+// Shared setup for the tests. `node --test` runs each file in its own process, and each
+// loads app.js with its own data and uploads directories, so every file gets a fresh database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { after } = require('node:test');
+
+function loadApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: path.join(dir, 'data'),
+    UPLOADS_DIR: path.join(dir, 'uploads'),
+    LOG_LEVEL: 'error',
+    ...env
+  });
+  const app = require('../app');
+
+  after(async () => {
+    await app.eventBus.close();
+    if (app.server.listening) {
+      app.server.closeAllConnections();
+      await new Promise(resolve => app.server.close(resolve));
+    }
+    await new Promise(resolve => app.db.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return app;
+}
+
+// Migrate, create the admin account and listen on a free port. Resolves to the base URL.
+async function startServer(app) {
+  await app.migrateDatabase();
+  await app.seedAdminUser();
+  await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${app.server.address().port}`;
+}
+
+async function request(base, method, urlPath, { token, body, headers = {} } = {}) {
+  const response = await fetch(base + urlPath, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // Not every response is JSON
+  }
+  return { status: response.status, headers: response.headers, text, json };
+}
+
+async function login(base, username, password) {
+  const { status, json } = await request(base, 'POST', '/api/auth/login', { body: { username, password } });
+  if (status !== 200) {
+    throw new Error(`Login as ${username} failed with ${status}`);
+  }
+  return json;
+}
+
+async function createUser(base, username, password) {
+  const { status } = await request(base, 'POST', '/api/auth/register', { body: { username, password } });
+  if (status !== 201 && status !== 200) {
+    throw new Error(`Registering ${username} failed with ${status}`);
+  }
+  return login(base, username, password);
+}
+
+// Open /api/events/stream and collect its events. Resolves once the server has sent the
+// first line, by which point the connection is subscribed.
+function openEventStream(base, token) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+    let ended = false;
+    const req = http.get(`${base}/api/events/stream`, { headers: { Authorization: `Bearer ${token}` } }, (res) => {
+      const stream = {
+        status: res.statusCode,
+        events,
+        get ended() {
+          return ended;
+        },
+        // Resolves with the first event of this type, including ones already received
+        next(type, timeoutMs = 2000) {
+          const found = events.find(event => event.type === type);
+          if (found) {
+            return Promise.resolve(found);
+          }
+          return new Promise((resolveEvent, rejectEvent) => {
+            const timer = setTimeout(() => rejectEvent(new Error(`No ${type} event within ${timeoutMs} ms`)), timeoutMs);
+            waiters.push({ type, resolve: (event) => { clearTimeout(timer); resolveEvent(event); } });
+          });
+        },
+        // Resolves once the server ends the response
+        closed: new Promise(resolveClosed => res.once('close', resolveClosed)),
+        close() {
+          req.destroy();
+        }
+      };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = (/^event: (.*)$/m.exec(block) || [])[1];
+          const data = (/^data: (.*)$/m.exec(block) || [])[1];
+          if (type && data) {
+            const event = { type, data: JSON.parse(data) };
+            events.push(event);
+            waiters.filter(waiter => waiter.type === type).forEach(waiter => {
+              waiters.splice(waiters.indexOf(waiter), 1);
+              waiter.resolve(event);
+            });
+          }
+        }
+      });
+      res.once('end', () => { ended = true; });
+      res.once('data', () => resolve(stream));
+      if (res.statusCode !== 200) {
+        resolve(stream);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// POST multipart/form-data. files maps field names to { data, name, type }.
+async function upload(base, urlPath, token, files, fields = {}) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  Object.entries(files).forEach(([name, file]) => form.append(name, new Blob([file.data], { type: file.type }), file.name));
+  const response = await fetch(base + urlPath, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+  return { status: response.status, json: await response.json() };
+}
+
+// A small MP3: an ID3v2.3 tag with the given text frames and a 1x1 PNG cover, then silent MPEG frames
+function taggedMp3(tags = {}) {
+  const frame = (id, body) => {
+    const header = Buffer.alloc(10);
+    header.write(id, 0);
+    header.writeUInt32BE(body.length, 4);
+    return Buffer.concat([header, body]);
+  };
+  const text = value => Buffer.concat([Buffer.from([0]), Buffer.from(String(value), 'latin1')]);
+  const png = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+  const frameIds = { title: 'TIT2', artist: 'TPE1', album: 'TALB', track: 'TRCK', disc: 'TPOS', year: 'TYER', genre: 'TCON' };
+  const frames = Buffer.concat([
+    ...Object.entries(tags).map(([name, value]) => frame(frameIds[name], text(value))),
+    frame('APIC', Buffer.concat([Buffer.from('\0image/png\0\x03\0', 'latin1'), png]))
+  ]);
+  const size = frames.length;
+  const header = Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0, (size >> 21) & 127, (size >> 14) & 127, (size >> 7) & 127, size & 127])]);
+  const mpegFrame = Buffer.alloc(417);
+  mpegFrame.set([0xff, 0xfb, 0x90, 0x00]);
+  return Buffer.concat([header, frames, ...Array(100).fill(mpegFrame)]);
+}
+
+function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) {
+        return resolve();
+      }
+      if (Date.now() - started > timeoutMs) {
+        return reject(new Error('Timed out waiting for condition'));
+      }
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+module.exports = { loadApp, startServer, request, login, createUser, upload, taggedMp3, openEventStream, waitFor };
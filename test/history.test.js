@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login, createUser } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let admin;
+let listener;
+
+test.before(async () => {
+  base = await startServer(app);
+  admin = await login(base, 'admin', 'admin123');
+  listener = await createUser(base, 'listener', 'listening-pass');
+  for (const id of ['h-1', 'h-2', 'h-3']) {
+    await app.dbRun('INSERT INTO tracks (id, title, artist, filename) VALUES (?, ?, ?, ?)', [id, `Song ${id}`, 'Artist', `${id}.mp3`]);
+  }
+});
+
+function sendEvent(session, body) {
+  return request(base, 'POST', '/api/event', { token: session.token, body });
+}
+
+function history(session, query = {}) {
+  return request(base, 'GET', `/api/me/history?${new URLSearchParams(query)}`, { token: session.token });
+}
+
+test('records events and lists them newest first', async () => {
+  for (const [type, trackId] of [['play', 'h-1'], ['complete', 'h-1'], ['play', 'h-2'], ['skip', 'h-2'], ['play', 'h-3']]) {
+    const response = await sendEvent(listener, { type, trackId, position: 12.5 });
+    assert.equal(response.status, 200);
+  }
+
+  const plays = await history(listener);
+  assert.equal(plays.status, 200);
+  assert.deepEqual(plays.json.history.map(entry => entry.id), ['h-3', 'h-2', 'h-1']);
+  assert.equal(plays.json.history[0].position, 12.5);
+  assert.equal(plays.json.next, null);
+
+  const all = await history(listener, { type: 'all' });
+  assert.deepEqual(all.json.history.map(entry => entry.type), ['play', 'skip', 'play', 'complete', 'play']);
+  const skips = await history(listener, { type: 'skip' });
+  assert.deepEqual(skips.json.history.map(entry => entry.id), ['h-2']);
+});
+
+test('pages with the next cursor', async () => {
+  const first = await history(listener, { type: 'all', limit: 2 });
+  const second = await history(listener, { type: 'all', limit: 2, before: first.json.next });
+  const third = await history(listener, { type: 'all', limit: 2, before: second.json.next });
+  const ids = [first, second, third].flatMap(page => page.json.history.map(entry => entry.event_id));
+  assert.equal(ids.length, 5);
+  assert.equal(new Set(ids).size, 5);
+  assert.deepEqual(ids, [...ids].sort((a, b) => b - a));
+  assert.equal(third.json.next, null);
+
+  // A page that ends exactly at the last event doesn't point past it
+  const exact = await history(listener, { type: 'all', limit: 5 });
+  assert.equal(exact.json.next, null);
+});
+
+test('keeps each user\'s history to themselves', async () => {
+  const response = await history(admin, { type: 'all' });
+  assert.deepEqual(response.json.history, []);
+  assert.equal(response.json.next, null);
+});
+
+test('rejects bad events and queries', async () => {
+  assert.equal((await sendEvent(listener, { type: 'pause', trackId: 'h-1' })).status, 400);
+  assert.equal((await sendEvent(listener, { type: 'play' })).status, 400);
+  assert.equal((await sendEvent(listener, { type: 'play', trackId: 'missing' })).status, 404);
+  assert.equal((await history(listener, { type: 'pause' })).status, 400);
+  assert.equal((await history(listener, { limit: 500 })).status, 400);
+  assert.equal((await history(listener, { before: 'x' })).status, 400);
+});
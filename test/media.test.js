@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, startServer, request, login } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+const bytes = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+let base;
+let admin;
+let token;
+
+test.before(async () => {
+  base = await startServer(app);
+  admin = await login(base, 'admin', 'admin123');
+  token = admin.token;
+  fs.mkdirSync(path.join(process.env.UPLOADS_DIR, 'music'), { recursive: true });
+  fs.writeFileSync(path.join(process.env.UPLOADS_DIR, 'music', 'media-1.mp3'), bytes);
+  await app.dbRun('INSERT INTO tracks (id, title, artist, filename, mime_type) VALUES (?, ?, ?, ?, ?)',
+    ['media-1', 'Ranged', 'Test Artist', 'media-1.mp3', 'audio/mpeg']);
+});
+
+function stream(headers = {}) {
+  return request(base, 'GET', '/api/stream/media-1', { token, headers });
+}
+
+test('parseRange', () => {
+  assert.deepEqual(app.parseRange('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+  assert.deepEqual(app.parseRange('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(app.parseRange('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(app.parseRange('bytes=990-2000', 1000), [{ start: 990, end: 999 }]);
+  // Overlapping and adjacent ranges are merged, and sorted
+  assert.deepEqual(app.parseRange('bytes=500-599,0-9,10-19,550-650', 1000),
+    [{ start: 0, end: 19 }, { start: 500, end: 650 }]);
+  assert.equal(app.parseRange('bytes=1000-', 1000), -1);
+  assert.equal(app.parseRange('bytes=-0', 1000), -1);
+  assert.equal(app.parseRange('items=0-9', 1000), null);
+  assert.equal(app.parseRange('bytes=9-0', 1000), null);
+  assert.equal(app.parseRange('bytes=-', 1000), null);
+});
+
+test('serves the whole file with validators', async () => {
+  const response = await stream();
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-length'), '1000');
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.ok(response.headers.get('etag'));
+  assert.ok(response.headers.get('last-modified'));
+});
+
+test('serves a single range', async () => {
+  const response = await stream({ Range: 'bytes=10-19' });
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), 'bytes 10-19/1000');
+  assert.deepEqual(Buffer.from(response.text, 'latin1'), bytes.subarray(10, 20));
+});
+
+test('serves several ranges as multipart/byteranges', async () => {
+  const response = await fetch(`${base}/api/stream/media-1`, {
+    headers: { Authorization: `Bearer ${token}`, Range: 'bytes=0-3,100-103' }
+  });
+  assert.equal(response.status, 206);
+  const boundary = /boundary=(\w+)/.exec(response.headers.get('content-type'))[1];
+  const body = Buffer.from(await response.arrayBuffer());
+  assert.equal(Number(response.headers.get('content-length')), body.length);
+  const text = body.toString('latin1');
+  assert.ok(text.includes('Content-Range: bytes 0-3/1000'));
+  assert.ok(text.includes('Content-Range: bytes 100-103/1000'));
+  assert.ok(text.endsWith(`\r\n--${boundary}--\r\n`));
+  assert.ok(body.includes(bytes.subarray(100, 104)));
+});
+
+test('answers an unsatisfiable range with 416', async () => {
+  const response = await stream({ Range: 'bytes=5000-' });
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get('content-range'), 'bytes */1000');
+});
+
+test('answers a matching If-None-Match or If-Modified-Since with 304', async () => {
+  const { headers } = await stream();
+  assert.equal((await stream({ 'If-None-Match': headers.get('etag') })).status, 304);
+  assert.equal((await stream({ 'If-None-Match': `W/${headers.get('etag')}` })).status, 304);
+  assert.equal((await stream({ 'If-None-Match': '"other"' })).status, 200);
+  assert.equal((await stream({ 'If-Modified-Since': headers.get('last-modified') })).status, 304);
+});
+
+test('only honours If-Range when the validator matches exactly', async () => {
+  const { headers } = await stream();
+  const lastModified = new Date(headers.get('last-modified'));
+  const range = { Range: 'bytes=0-9' };
+
+  assert.equal((await stream({ ...range, 'If-Range': headers.get('etag') })).status, 206);
+  assert.equal((await stream({ ...range, 'If-Range': headers.get('last-modified') })).status, 206);
+  assert.equal((await stream({ ...range, 'If-Range': '"other"' })).status, 200);
+  assert.equal((await stream({ ...range, 'If-Range': `W/${headers.get('etag')}` })).status, 200);
+  // A later date is not the file's date, so the whole file comes back
+  const later = new Date(lastModified.getTime() + 60 * 1000).toUTCString();
+  assert.equal((await stream({ ...range, 'If-Range': later })).status, 200);
+});
+
+test('answers HEAD without reading the file', async () => {
+  const get = await stream();
+  const head = await request(base, 'HEAD', '/api/stream/media-1', { token });
+  assert.equal(head.status, 200);
+  assert.equal(head.text, '');
+  for (const name of ['content-type', 'content-length', 'etag', 'last-modified', 'accept-ranges']) {
+    assert.equal(head.headers.get(name), get.headers.get(name));
+  }
+
+  const file = path.join(process.env.UPLOADS_DIR, 'music', 'media-1.mp3');
+  const opened = [];
+  const createReadStream = fs.createReadStream;
+  fs.createReadStream = (...args) => {
+    opened.push(args[0]);
+    return createReadStream(...args);
+  };
+  try {
+    await request(base, 'HEAD', '/api/stream/media-1', { token });
+    assert.deepEqual(opened, []);
+    await stream();
+    assert.deepEqual(opened, [file]);
+  } finally {
+    fs.createReadStream = createReadStream;
+  }
+});
+
+test('signed URLs work without a token until their session is signed out', async () => {
+  const session = await login(base, 'admin', 'admin123');
+  const urls = await request(base, 'GET', '/api/tracks/media-1/stream-url', { token: session.token });
+  assert.equal(urls.status, 200);
+  const url = new URL(urls.json.url, base);
+  assert.equal(url.searchParams.get('sid'), session.refreshToken.split('.')[0]);
+
+  assert.equal((await request(base, 'GET', url.pathname + url.search)).status, 200);
+  assert.equal((await request(base, 'HEAD', url.pathname + url.search)).status, 200);
+  assert.equal((await request(base, 'GET', url.pathname + url.search, { headers: { Range: 'bytes=0-9' } })).status, 206);
+
+  // The signature covers the path, expiry and session
+  const tampered = (name, value) => {
+    const copy = new URL(url);
+    copy.searchParams.set(name, value);
+    return request(base, 'GET', copy.pathname + copy.search);
+  };
+  assert.equal((await tampered('exp', String(Number(url.searchParams.get('exp')) + 1))).status, 403);
+  assert.equal((await tampered('sid', admin.refreshToken.split('.')[0])).status, 403);
+  assert.equal((await request(base, 'GET', `/api/cover/media-1${url.search}`)).status, 403);
+
+  await request(base, 'POST', '/api/auth/logout', { token: session.token, body: {} });
+  assert.equal((await request(base, 'GET', url.pathname + url.search)).status, 403);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let token;
+
+test.before(async () => {
+  base = await startServer(app);
+  token = (await login(base, 'admin', 'admin123')).token;
+  await app.dbRun('INSERT INTO tracks (id, title, artist, filename) VALUES (?, ?, ?, ?)', ['m-1', 'Counted', 'Artist', 'm-1.mp3']);
+});
+
+// Request metrics are recorded when the response closes, which can be just after the client has it
+async function metricsText(expected) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { status, headers, text } = await request(base, 'GET', '/metrics');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    if (expected.every(line => text.includes(line))) {
+      return text;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail(`/metrics never showed ${expected.join(', ')}`);
+}
+
+test('describes every metric with HELP and TYPE', async () => {
+  const text = await metricsText([]);
+  for (const [name, type] of [
+    ['app_requests_total', 'counter'],
+    ['http_request_duration_seconds', 'histogram'],
+    ['app_stream_bytes_total', 'counter'],
+    ['app_track_plays_total', 'counter'],
+    ['app_event_streams', 'gauge'],
+    ['app_uptime_seconds', 'gauge']
+  ]) {
+    assert.match(text, new RegExp(`^# HELP ${name} \\S`, 'm'));
+    assert.match(text, new RegExp(`^# TYPE ${name} ${type}$`, 'm'));
+  }
+});
+
+test('labels requests by route pattern, method and status', async () => {
+  await request(base, 'GET', '/api/playlists/first-id', { token });
+  await request(base, 'GET', '/api/playlists/second-id', { token });
+  await request(base, 'GET', '/api/no-such-route', { token });
+
+  const text = await metricsText([
+    'app_requests_total{route="/api/playlists/:id",method="GET",status="400"} 2',
+    'app_requests_total{route="unmatched",method="GET",status="404"} 1'
+  ]);
+  // Raw paths would give every id its own series
+  assert.equal(text.includes('first-id'), false);
+  assert.match(text, /^http_request_duration_seconds_bucket\{le="\+Inf",route="\/api\/playlists\/:id",method="GET",status="400"\} 2$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{route="\/api\/playlists\/:id",method="GET",status="400"\} 2$/m);
+});
+
+test('counts play events', async () => {
+  const before = await metricsText([]);
+  const count = Number((/^app_track_plays_total (\d+)$/m.exec(before) || [])[1]);
+  assert.equal((await request(base, 'POST', '/api/event', { token, body: { type: 'play', trackId: 'm-1' } })).status, 200);
+  await metricsText([`app_track_plays_total ${count + 1}`]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+
+// The schema the server created before schema_migrations existed, with some data in it
+test.before(async () => {
+  await app.dbRun(`CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    is_admin BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await app.dbRun(`CREATE TABLE tracks (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    artist TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    cover_filename TEXT,
+    duration INTEGER DEFAULT 0,
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users (id)
+  )`);
+  await app.dbRun("INSERT INTO users (username, password, is_admin) VALUES ('old-admin', 'x', 1)");
+  const tracks = [
+    ['l-1', 'One', 'Daft Punk', 'l-1.mp3', 'l-1.png'],
+    ['l-2', 'Two', 'DAFT PUNK', 'l-2.flac', null],
+    ['l-3', 'Three', 'Daft Punk', 'l-3.backup.ogg', 'l-3.jpeg'],
+    ['l-4', 'Four', 'Air', 'l-4', null]
+  ];
+  for (const track of tracks) {
+    await app.dbRun('INSERT INTO tracks (id, title, artist, filename, cover_filename) VALUES (?, ?, ?, ?, ?)', track);
+  }
+});
+
+test('brings a database from before versioned migrations up to date', async () => {
+  const result = await app.migrateDatabase();
+  assert.equal(result.from, 0);
+  assert.equal(result.applied, app.migrations.length);
+
+  const user = await app.dbGet("SELECT * FROM users WHERE username = 'old-admin'");
+  assert.equal(user.is_admin, 1);
+  assert.equal(user.disabled, 0);
+  assert.equal(user.failed_logins, 0);
+});
+
+test('indexes existing tracks for search', async () => {
+  const rows = await app.dbAll("SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH 'daft'");
+  assert.equal(rows.length, 3);
+});
+
+test('gives existing files a type from their extension', async () => {
+  const rows = await app.dbAll('SELECT id, mime_type, cover_mime_type FROM tracks ORDER BY id');
+  assert.deepEqual(rows.map(row => [row.id, row.mime_type, row.cover_mime_type]), [
+    ['l-1', 'audio/mpeg', 'image/png'],
+    ['l-2', 'audio/flac', null],
+    ['l-3', 'audio/ogg', 'image/jpeg'],
+    ['l-4', 'audio/mpeg', null]
+  ]);
+});
+
+test('links existing tracks to artists under the most common spelling', async () => {
+  const artists = await app.dbAll('SELECT id, name FROM artists ORDER BY name');
+  assert.deepEqual(artists.map(artist => artist.name), ['Air', 'Daft Punk']);
+  const daftPunk = artists.find(artist => artist.name === 'Daft Punk');
+  const linked = await app.dbAll('SELECT id, artist FROM tracks WHERE artist_id = ? ORDER BY id', [daftPunk.id]);
+  // The tracks keep the text they were entered with
+  assert.deepEqual(linked.map(track => track.artist), ['Daft Punk', 'DAFT PUNK', 'Daft Punk']);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+
+async function columns(table) {
+  return (await app.dbAll(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+test('migrates an empty database through every version', async () => {
+  const result = await app.migrateDatabase();
+  const latest = app.migrations[app.migrations.length - 1].version;
+  assert.deepEqual(result, { from: 0, to: latest, applied: app.migrations.length });
+
+  const applied = await app.dbAll('SELECT version, name FROM schema_migrations ORDER BY version');
+  assert.deepEqual(applied.map(row => row.version), Array.from({ length: latest }, (_, i) => i + 1));
+  assert.deepEqual(applied.map(row => row.name), app.migrations.map(migration => migration.name));
+
+  const tables = (await app.dbAll("SELECT name FROM sqlite_master WHERE type IN ('table', 'trigger')")).map(row => row.name);
+  for (const name of ['users', 'tracks', 'playlists', 'playlist_tracks', 'tracks_fts', 'tracks_fts_insert',
+    'play_events', 'user_likes', 'sessions', 'settings', 'artists', 'albums']) {
+    assert.ok(tables.includes(name), `${name} exists`);
+  }
+  for (const name of ['failed_logins', 'locked_until', 'disabled']) {
+    assert.ok((await columns('users')).includes(name), `users.${name} exists`);
+  }
+  for (const name of ['bitrate', 'album', 'mime_type', 'file_size', 'artist_id', 'album_id', 'disc_number']) {
+    assert.ok((await columns('tracks')).includes(name), `tracks.${name} exists`);
+  }
+});
+
+test('does nothing once up to date', async () => {
+  const latest = app.migrations[app.migrations.length - 1].version;
+  assert.deepEqual(await app.migrateDatabase(), { from: latest, to: latest, applied: 0 });
+});
+
+test('refuses a database migrated by a newer release', async () => {
+  await app.dbRun("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+  try {
+    await assert.rejects(app.migrateDatabase(), /version 999/);
+  } finally {
+    await app.dbRun('DELETE FROM schema_migrations WHERE version = 999');
+  }
+});
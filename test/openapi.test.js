@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let token;
+
+test.before(async () => {
+  base = await startServer(app);
+  token = (await login(base, 'admin', 'admin123')).token;
+});
+
+test('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'ids'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' },
+      kind: { type: 'string', enum: ['a', 'b'] },
+      count: { type: 'integer', minimum: 1, maximum: 10 },
+      note: { type: ['string', 'null'] },
+      ids: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'integer' } },
+      nested: { type: 'object', properties: { on: { type: 'boolean' } } }
+    }
+  };
+  const check = value => app.validateSchema(schema, value, '', []);
+
+  assert.deepEqual(check({ name: 'abc', ids: [1], note: null, nested: { on: true } }), []);
+  assert.deepEqual(check({}), [
+    { field: 'name', message: 'is required' },
+    { field: 'ids', message: 'is required' }
+  ]);
+  assert.deepEqual(check([]), [{ field: '', message: 'must be an object' }]);
+  assert.deepEqual(check({ name: '', ids: [] }), [
+    { field: 'name', message: 'must not be empty' },
+    { field: 'name', message: 'must match ^[a-z]+$' },
+    { field: 'ids', message: 'must have at least 1 items' }
+  ]);
+  assert.deepEqual(check({ name: 'toolong', ids: [1, 'two', 3], kind: 'c', count: 1.5, note: 4, nested: { on: 'yes' } }), [
+    { field: 'name', message: 'must be at most 5 characters' },
+    { field: 'kind', message: 'must be one of: a, b' },
+    { field: 'count', message: 'must be an integer' },
+    { field: 'note', message: 'must be a string or null' },
+    { field: 'ids', message: 'must have at most 2 items' },
+    { field: 'ids[1]', message: 'must be an integer' },
+    { field: 'nested.on', message: 'must be true or false' }
+  ]);
+  assert.deepEqual(check({ name: 'abc', ids: [1], count: 11 }), [{ field: 'count', message: 'must be at most 10' }]);
+});
+
+test('serves the spec', async () => {
+  const response = await request(base, 'GET', '/api/openapi.json');
+  assert.equal(response.status, 200);
+  assert.match(response.json.openapi, /^3\./);
+  assert.ok(response.json.paths['/api/playlists/{id}']);
+});
+
+test('rejects requests that don\'t match the spec with the fields at fault', async () => {
+  const body = await request(base, 'POST', '/api/playlists', { token, body: { name: '' } });
+  assert.equal(body.status, 400);
+  assert.deepEqual(body.json, { error: 'Invalid request', fields: [{ in: 'body', field: 'name', message: 'must not be empty' }] });
+
+  const param = await request(base, 'GET', '/api/playlists/abc', { token });
+  assert.equal(param.status, 400);
+  assert.deepEqual(param.json.fields, [{ in: 'path', field: 'id', message: 'must be an integer' }]);
+
+  const query = await request(base, 'GET', '/api/tracks?limit=lots', { token });
+  assert.equal(query.status, 400);
+  assert.equal(query.json.fields[0].in, 'query');
+  assert.equal(query.json.fields[0].field, 'limit');
+
+  assert.equal((await request(base, 'POST', '/api/playlists', { token, body: { name: 'Fine' } })).status, 201);
+});
+
+test('checks authentication before validation', async () => {
+  assert.equal((await request(base, 'POST', '/api/playlists', { body: {} })).status, 401);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let token;
+
+test.before(async () => {
+  base = await startServer(app);
+  token = (await login(base, 'admin', 'admin123')).token;
+});
+
+test('answers an unsupported method with 405 and Allow', async () => {
+  const response = await request(base, 'DELETE', '/api/playlists', { token });
+  assert.equal(response.status, 405);
+  assert.deepEqual(response.json, { error: 'Method not allowed' });
+  assert.deepEqual(response.headers.get('allow').split(', ').sort(), ['GET', 'HEAD', 'POST', 'PUT']);
+
+  const withParam = await request(base, 'POST', '/api/playlists/some-id', { token });
+  assert.equal(withParam.status, 405);
+  assert.deepEqual(withParam.headers.get('allow').split(', ').sort(), ['DELETE', 'GET', 'HEAD', 'PATCH', 'PUT']);
+});
+
+test('answers unknown paths with 404', async () => {
+  const response = await request(base, 'GET', '/api/nothing-here', { token });
+  assert.equal(response.status, 404);
+});
+
+test('answers HEAD with the GET route\'s headers and no body', async () => {
+  const get = await request(base, 'GET', '/api/playlists', { token });
+  const head = await request(base, 'HEAD', '/api/playlists', { token });
+  assert.equal(head.status, 200);
+  assert.equal(head.text, '');
+  assert.equal(head.headers.get('content-type'), get.headers.get('content-type'));
+
+  assert.equal((await request(base, 'HEAD', '/api/playlists')).status, 401);
+  assert.equal((await request(base, 'HEAD', '/healthz')).status, 200);
+});
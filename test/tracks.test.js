@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, request, login } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let token;
+
+const tracks = [
+  ['t-1', 'Blue Monday', 'New Order', 300],
+  ['t-2', 'Ceremony', 'New Order', 260],
+  ['t-3', 'Atmosphere', 'Joy Division', 250],
+  ['t-4', 'Disorder', 'Joy Division', 210],
+  ['t-5', 'Bluebird', 'Another Artist', 180],
+  ['t-6', 'Temptation', 'new order', 420],
+  ['t-7', 'Shadowplay', 'Joy Division', 240]
+];
+
+test.before(async () => {
+  base = await startServer(app);
+  token = (await login(base, 'admin', 'admin123')).token;
+  // The same created_at for all, so paging by date relies on the id tie-break
+  for (const [id, title, artist, duration] of tracks) {
+    await app.dbRun(`INSERT INTO tracks (id, title, artist, filename, duration, created_at)
+                     VALUES (?, ?, ?, ?, ?, '2024-01-01 00:00:00')`, [id, title, artist, `${id}.mp3`, duration]);
+  }
+});
+
+async function list(query) {
+  const response = await request(base, 'GET', `/api/tracks?${new URLSearchParams(query)}`, { token });
+  assert.equal(response.status, 200, response.text);
+  return response.json;
+}
+
+// Follow next cursors to the end, returning the ids of each page
+async function allPages(query) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await list({ ...query, ...(cursor && { cursor }) });
+    pages.push(page.tracks.map(track => track.id));
+    cursor = page.next;
+  } while (cursor);
+  return pages;
+}
+
+test('pages through every track exactly once', async () => {
+  assert.deepEqual(await allPages({ limit: 3 }), [['t-7', 't-6', 't-5'], ['t-4', 't-3', 't-2'], ['t-1']]);
+  assert.deepEqual((await allPages({ limit: 3, sort: 'title' })).flat(),
+    ['t-3', 't-1', 't-5', 't-2', 't-4', 't-7', 't-6']);
+  assert.deepEqual((await allPages({ limit: 2, sort: 'duration', order: 'desc' })).flat(),
+    ['t-6', 't-1', 't-2', 't-3', 't-7', 't-4', 't-5']);
+});
+
+test('has no next cursor when the page is the last', async () => {
+  const page = await list({ limit: 7 });
+  assert.equal(page.tracks.length, 7);
+  assert.equal(page.next, null);
+});
+
+test('filters by artist, ignoring case', async () => {
+  const page = await list({ artist: 'NEW ORDER', sort: 'title' });
+  assert.deepEqual(page.tracks.map(track => track.id), ['t-1', 't-2', 't-6']);
+});
+
+test('searches words as prefixes', async () => {
+  const page = await list({ q: 'blue' });
+  assert.deepEqual(page.tracks.map(track => track.id).sort(), ['t-1', 't-5']);
+  assert.deepEqual((await list({ q: 'joy disord' })).tracks.map(track => track.id), ['t-4']);
+  assert.deepEqual((await list({ q: '!!!' })).tracks, []);
+});
+
+test('rejects bad parameters', async () => {
+  for (const query of [{ sort: 'size' }, { order: 'sideways' }, { limit: 0 }, { limit: 201 }, { cursor: 'nonsense' }, { sort: 'relevance' }]) {
+    const response = await request(base, 'GET', `/api/tracks?${new URLSearchParams(query)}`, { token });
+    assert.equal(response.status, 400, JSON.stringify(query));
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, startServer, login, upload, taggedMp3 } = require('./helpers');
+
+const app = loadApp({ EVENTS_DRIVER: 'local' });
+let base;
+let token;
+
+test.before(async () => {
+  base = await startServer(app);
+  token = (await login(base, 'admin', 'admin123')).token;
+});
+
+function uploadMusic(data, fields) {
+  return upload(base, '/api/admin/upload', token, { music: { data, name: 'song.mp3', type: 'audio/mpeg' } }, fields);
+}
+
+test('fills in title, artist and the rest from the file\'s tags', async () => {
+  const tags = { title: 'Tagged Title', artist: 'Tagged Artist', album: 'Tagged Album', track: '3/10', disc: '2', year: '2001', genre: 'Electronic' };
+  const response = await uploadMusic(taggedMp3(tags));
+  assert.equal(response.status, 200);
+
+  const track = await app.dbGet('SELECT * FROM tracks WHERE id = ?', [response.json.trackId]);
+  assert.equal(track.title, 'Tagged Title');
+  assert.equal(track.artist, 'Tagged Artist');
+  assert.equal(track.album, 'Tagged Album');
+  assert.equal(track.track_number, 3);
+  assert.equal(track.disc_number, 2);
+  assert.equal(track.year, 2001);
+  assert.equal(track.genre, 'Electronic');
+  assert.equal(track.mime_type, 'audio/mpeg');
+  assert.ok(track.duration > 0);
+  // The embedded picture becomes the cover
+  assert.equal(track.cover_mime_type, 'image/png');
+  assert.ok(track.cover_filename);
+});
+
+test('form fields win over tags', async () => {
+  const response = await uploadMusic(taggedMp3({ title: 'Tag', artist: 'Tag Artist' }), { title: 'Typed Title' });
+  assert.equal(response.status, 200);
+  const track = await app.dbGet('SELECT title, artist FROM tracks WHERE id = ?', [response.json.trackId]);
+  assert.deepEqual({ ...track }, { title: 'Typed Title', artist: 'Tag Artist' });
+});
+
+test('needs a title and artist from the form or the tags', async () => {
+  const response = await uploadMusic(taggedMp3({ title: 'No Artist' }));
+  assert.equal(response.status, 400);
+  assert.equal(await app.dbGet('SELECT id FROM tracks WHERE title = ?', ['No Artist']), undefined);
+});
+
+test('sniffMediaType', () => {
+  const bytes = (...parts) => Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+  const cases = [
+    [bytes('fLaC', [0, 0, 0, 34]), 'audio/flac'],
+    [bytes('OggS', [0, 2]), 'audio/ogg'],
+    [bytes('RIFF', [0, 0, 0, 0], 'WAVEfmt '), 'audio/wav'],
+    [bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 '), 'image/webp'],
+    [bytes([0, 0, 0, 32], 'ftypM4A ', [0, 0, 0, 0]), 'audio/mp4'],
+    [bytes([0, 0, 0, 32], 'ftypisom', [0, 0, 0, 0]), 'audio/mp4'],
+    [bytes([0, 0, 0, 32], 'ftypqt  ', [0, 0, 0, 0]), null],
+    [bytes([0x1a, 0x45, 0xdf, 0xa3]), 'audio/webm'],
+    [bytes([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg'],
+    [bytes('\x89PNG\r\n\x1a\n'), 'image/png'],
+    [bytes('GIF89a'), 'image/gif'],
+    [bytes([0xff, 0xfb, 0x90, 0x00]), 'audio/mpeg'],
+    [bytes([0xff, 0xf1, 0x50, 0x80]), 'audio/aac'],
+    [bytes('<html><body>'), null],
+    [bytes('ID3'), null],
+    [Buffer.alloc(0), null]
+  ];
+  for (const [buf, expected] of cases) {
+    assert.equal(app.sniffMediaType(buf), expected, buf.toString('hex'));
+  }
+});
+
+test('checks uploads by their contents, not their name or declared type', async () => {
+  const flac = Buffer.concat([Buffer.from('fLaC'), Buffer.alloc(64)]);
+  const response = await upload(base, '/api/admin/upload', token,
+    { music: { data: flac, name: 'song.mp3', type: 'audio/mpeg' } }, { title: 'Really FLAC', artist: 'Artist' });
+  assert.equal(response.status, 200);
+  const track = await app.dbGet('SELECT filename, mime_type FROM tracks WHERE id = ?', [response.json.trackId]);
+  assert.equal(track.mime_type, 'audio/flac');
+  assert.match(track.filename, /\.flac$/);
+
+  const html = await upload(base, '/api/admin/upload', token,
+    { music: { data: Buffer.from('<script>alert(1)</script>'), name: 'song.mp3', type: 'audio/mpeg' } },
+    { title: 'Not Audio', artist: 'Artist' });
+  assert.equal(html.status, 415);
+  assert.match(html.json.error, /not a recognised format/);
+
+  const picture = await upload(base, '/api/admin/upload', token,
+    { music: { data: Buffer.from('\x89PNG\r\n\x1a\n0000', 'latin1'), name: 'song.mp3', type: 'audio/mpeg' } },
+    { title: 'Picture', artist: 'Artist' });
+  assert.equal(picture.status, 415);
+  assert.match(picture.json.error, /is PNG/);
+
+  const cover = await upload(base, '/api/admin/upload', token, {
+    music: { data: taggedMp3(), name: 'song.mp3', type: 'audio/mpeg' },
+    cover: { data: taggedMp3(), name: 'cover.jpg', type: 'image/jpeg' }
+  }, { title: 'Bad Cover', artist: 'Artist' });
+  assert.equal(cover.status, 415);
+  assert.equal(await app.dbGet('SELECT id FROM tracks WHERE title = ?', ['Bad Cover']), undefined);
+});